@@ -0,0 +1,123 @@
+const { normalizeWord } = require('./normalize');
+
+// Word membership plus a syllable -> words index, for the full dictionary and every word pack
+class Dictionary {
+    constructor() {
+        this.words = new Set();          // normalized words
+        this.syllableIndex = new Map();  // syllable -> words containing it
+        this.syllablesByCount = [];      // [syllable, count] pairs, rarest first
+    }
+    
+    get size() {
+        return this.words.size;
+    }
+    
+    // Rebuild the membership set and the syllable -> words index from a word list
+    build(wordList) {
+        this.words = new Set();
+        this.syllableIndex = new Map();
+        
+        wordList.forEach(raw => this.indexWord(raw));
+        this.sortSyllables();
+    }
+    
+    // Add one word without a full rebuild; false if it was already known
+    add(raw) {
+        if (!this.indexWord(raw)) return false;
+        this.sortSyllables();
+        return true;
+    }
+    
+    // Add several words with a single re-sort; returns how many were new
+    addAll(rawWords) {
+        const added = rawWords.filter(raw => this.indexWord(raw)).length;
+        if (added > 0) this.sortSyllables();
+        return added;
+    }
+    
+    indexWord(raw) {
+        const word = normalizeWord(raw);
+        if (word.length < 2 || this.words.has(word)) return false;
+        this.words.add(word);
+        
+        // Only words longer than the syllable can answer it
+        if (word.length < 3) return true;
+        
+        const seen = new Set();
+        for (let i = 0; i < word.length - 1; i++) {
+            seen.add(word.substring(i, i + 2));
+            if (i < word.length - 2) seen.add(word.substring(i, i + 3));
+        }
+        seen.delete(word);
+        
+        seen.forEach(syl => {
+            let list = this.syllableIndex.get(syl);
+            if (!list) {
+                list = [];
+                this.syllableIndex.set(syl, list);
+            }
+            list.push(word);
+        });
+        return true;
+    }
+    
+    sortSyllables() {
+        this.syllablesByCount = Array.from(this.syllableIndex.entries())
+            .map(([syl, list]) => [syl, list.length])
+            .sort((a, b) => a[1] - b[1]);
+    }
+    
+    has(word) {
+        return this.words.has(normalizeWord(word));
+    }
+    
+    // How many valid answers a syllable has
+    countFor(syllable) {
+        return this.syllableIndex.get(normalizeWord(syllable))?.length || 0;
+    }
+    
+    getWords(syllable) {
+        return this.syllableIndex.get(normalizeWord(syllable)) || [];
+    }
+    
+    // Up to `limit` random example words for a syllable, skipping `exclude`
+    getExamples(syllable, limit = 5, exclude = null) {
+        const list = this.getWords(syllable);
+        const examples = [];
+        if (list.length === 0) return examples;
+        
+        const start = Math.floor(Math.random() * list.length);
+        for (let i = 0; i < list.length && examples.length < limit; i++) {
+            const word = list[(start + i) % list.length];
+            if (!exclude || !exclude.has(word)) examples.push(word);
+        }
+        return examples;
+    }
+    
+    // [syllable, count] pairs, most common first
+    getSyllableCounts() {
+        return [...this.syllablesByCount].reverse();
+    }
+    
+    // First index in a [syllable, count] list (syllablesByCount by default) whose count is >= minCount
+    lowerBound(minCount, syllables = this.syllablesByCount) {
+        let lo = 0;
+        let hi = syllables.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (syllables[mid][1] < minCount) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+    
+    // Random syllable with between minCount and maxCount valid answers, or null
+    pickSyllable(minCount, maxCount, rng = Math.random, syllables = this.syllablesByCount) {
+        const start = this.lowerBound(minCount, syllables);
+        const end = this.lowerBound(maxCount + 1, syllables);
+        if (end <= start) return null;
+        return syllables[start + Math.floor(rng() * (end - start))][0];
+    }
+}
+
+module.exports = { Dictionary };
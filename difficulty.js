@@ -0,0 +1,36 @@
+// Tiers are bands of a word list's syllables ranked by how many words answer them,
+// given as fractions counted from the most common syllable, so they fit any list's shape
+const DIFFICULTY_BANDS = {
+    easy: { from: 0, to: 0.005 },
+    medium: { from: 0.005, to: 0.03 },
+    hard: { from: 0.03, to: 0.06 }
+};
+
+const RAMP_TURNS = 40; // Turns until a ramping match reaches its rarest syllables
+
+// Answer-count range of each tier, read off a [syllable, count] list sorted rarest first
+function getDifficultyTiers(syllables) {
+    const countAt = fraction => {
+        if (syllables.length === 0) return 1;
+        const index = Math.min(syllables.length - 1, Math.floor((1 - fraction) * syllables.length));
+        return Math.max(1, syllables[index][1]);
+    };
+
+    const tiers = {};
+    for (const [name, band] of Object.entries(DIFFICULTY_BANDS)) {
+        tiers[name] = { minSolutions: countAt(band.to), maxSolutions: countAt(band.from) };
+    }
+    return tiers;
+}
+
+// With ramp enabled the range slides (on a log scale) from the chosen tier
+// down to syllables rarer than the tier's lower bound
+function getRampedRange(range, progress) {
+    const lerpLog = (from, to) => Math.round(Math.exp(Math.log(from) + (Math.log(to) - Math.log(from)) * progress));
+    return {
+        minSolutions: lerpLog(range.minSolutions, Math.max(1, Math.floor(range.minSolutions / 4))),
+        maxSolutions: lerpLog(range.maxSolutions, range.minSolutions)
+    };
+}
+
+module.exports = { DIFFICULTY_BANDS, RAMP_TURNS, getDifficultyTiers, getRampedRange };
@@ -0,0 +1,20 @@
+// Mtavruli capitals (U+1C90 - U+1CBF) sit a fixed distance above their Mkhedruli letters
+const MTAVRULI_PATTERN = /[\u1C90-\u1CBA\u1CBD-\u1CBF]/g;
+const MTAVRULI_OFFSET = 0x1C90 - 0x10D0;
+
+// Zero-width joiners, soft hyphens, BOMs and the like that phone keyboards and copy-paste slip in
+const INVISIBLE_PATTERN = /\p{Default_Ignorable_Code_Point}/gu;
+
+// The one place words are folded, so the dictionary, syllables and submissions always agree
+function normalizeWord(word) {
+    if (typeof word !== 'string') return '';
+    return word
+        .normalize('NFC')
+        .replace(INVISIBLE_PATTERN, '')
+        .replace(MTAVRULI_PATTERN, ch => String.fromCharCode(ch.charCodeAt(0) - MTAVRULI_OFFSET))
+        .replace(/\s+/g, ' ') // Non-breaking and other odd spaces
+        .trim()
+        .toLowerCase();
+}
+
+module.exports = { normalizeWord };
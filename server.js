@@ -4,6 +4,14 @@ const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { normalizeWord } = require('./normalize');
+const { Dictionary } = require('./dictionary');
+const { RAMP_TURNS, getDifficultyTiers, getRampedRange } = require('./difficulty');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,6 +38,181 @@ app.use((req, res, next) => {
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ============== ERROR LOG ==============
+// The latest logged errors, kept for the admin console
+const MAX_RECENT_ERRORS = 100;
+const recentErrors = [];
+
+function logError(...args) {
+    recentErrors.push({
+        time: Date.now(),
+        message: args.map(arg => typeof arg === 'string' ? arg : util.inspect(arg)).join(' ')
+    });
+    if (recentErrors.length > MAX_RECENT_ERRORS) recentErrors.shift();
+    console.error(...args);
+}
+
+// ============== METRICS ==============
+// Counters exposed in Prometheus text format on /metrics
+const metrics = {
+    submitsAccepted: 0,
+    submitsRejected: new Map(), // rejection code -> count
+    timeouts: 0,
+    rateLimitHits: new Map()    // event -> count
+};
+
+// Lag is sampled continuously and the histogram starts over every window
+const EVENT_LOOP_WINDOW_MS = 60000;
+const EVENT_LOOP_RESOLUTION_MS = 20;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+eventLoopDelay.enable();
+setInterval(() => eventLoopDelay.reset(), EVENT_LOOP_WINDOW_MS).unref();
+
+function countMetric(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+// ============== SHARED STATE STORE ==============
+// A lobby and its timers live on the worker that created it. What the other workers
+// need to know - player records, the public lobby directory, which worker owns a lobby,
+// and profiles, results, daily attempts, word reports and overlay words - goes through
+// the store: in memory for a single process, Redis when REDIS_URL is set. A single
+// process keeps those records in DATA_DIR files between restarts; lobby snapshots and
+// match recordings always stay with the worker that wrote them.
+const REDIS_URL = process.env.REDIS_URL || '';
+const WORKER_ID = process.env.WORKER_ID || uuidv4().substring(0, 8);
+const LOBBY_LEASE_MS = 30000;                       // Directory entries of a dead worker expire after this
+const PLAYER_RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+const WORKER_REQUEST_TIMEOUT_MS = 5000;
+
+class MemoryStore {
+    constructor() {
+        this.shared = false;
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+    
+    isReady() {
+        return true;
+    }
+    
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+    
+    async set(key, value, ttlMs = 0) {
+        this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : 0 });
+    }
+    
+    async del(key) {
+        this.entries.delete(key);
+    }
+    
+    // Set unless a live value exists; true if this call set it
+    async setIfAbsent(key, value, ttlMs = 0) {
+        const entry = this.entries.get(key);
+        if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) return false;
+        this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : 0 });
+        return true;
+    }
+    
+    // Every live value whose key starts with prefix
+    async getAll(prefix) {
+        const values = [];
+        for (const key of this.entries.keys()) {
+            if (!key.startsWith(prefix)) continue;
+            const value = await this.get(key);
+            if (value !== null) values.push(value);
+        }
+        return values;
+    }
+}
+
+// Same interface on top of a Redis client; values are stored as JSON
+class RedisStore {
+    constructor(client, namespace = 'bombparty:') {
+        this.shared = true;
+        this.client = client;
+        this.namespace = namespace;
+    }
+    
+    isReady() {
+        return this.client.isReady;
+    }
+    
+    async get(key) {
+        const raw = await this.client.get(this.namespace + key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+    
+    async set(key, value, ttlMs = 0) {
+        await this.client.set(this.namespace + key, JSON.stringify(value), ttlMs ? { PX: ttlMs } : undefined);
+    }
+    
+    async del(key) {
+        await this.client.del(this.namespace + key);
+    }
+    
+    async setIfAbsent(key, value, ttlMs = 0) {
+        const reply = await this.client.set(this.namespace + key, JSON.stringify(value), ttlMs ? { PX: ttlMs, NX: true } : { NX: true });
+        return reply === 'OK';
+    }
+    
+    async getAll(prefix) {
+        const keys = [];
+        for await (const key of this.client.scanIterator({ MATCH: `${this.namespace}${prefix}*`, COUNT: 100 })) {
+            keys.push(key);
+        }
+        if (keys.length === 0) return [];
+        
+        const values = await this.client.mGet(keys);
+        return values.filter(raw => raw !== null).map(raw => JSON.parse(raw));
+    }
+}
+
+let store = new MemoryStore();
+
+const recordUpdates = new Map(); // key -> last queued update
+
+// Read-modify-write of one stored value. update() returns the new value, or nothing to
+// leave it as it is; updates of the same key from this worker run one after another
+function updateRecord(key, update, ttlMs = 0) {
+    const next = (recordUpdates.get(key) || Promise.resolve()).then(async () => {
+        const value = await store.get(key);
+        const updated = update(value);
+        if (!updated) return value;
+        await store.set(key, updated, ttlMs);
+        return updated;
+    });
+    
+    const settled = next.catch(() => {});
+    recordUpdates.set(key, settled);
+    settled.then(() => {
+        if (recordUpdates.get(key) === settled) recordUpdates.delete(key);
+    });
+    return next;
+}
+
+// With REDIS_URL the store moves to Redis and socket.io rooms span every worker
+async function connectStore() {
+    if (!REDIS_URL) return;
+    
+    const pubClient = createClient({ url: REDIS_URL });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', err => logError('Redis error:', err));
+    subClient.on('error', err => logError('Redis error:', err));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    
+    io.adapter(createAdapter(pubClient, subClient, { requestsTimeout: WORKER_REQUEST_TIMEOUT_MS }));
+    store = new RedisStore(pubClient);
+    console.log(`🔗 Worker ${WORKER_ID} sharing state through Redis`);
+}
+
 // ============== SECURITY: INPUT SANITIZATION ==============
 function sanitizeText(text, maxLength = 50) {
     if (typeof text !== 'string') return '';
@@ -71,6 +254,7 @@ function isRateLimited(socketId, event, maxRequests = 10, windowMs = 1000) {
     
     // Check if over limit
     if (timestamps.length >= maxRequests) {
+        countMetric(metrics.rateLimitHits, event);
         return true; // Rate limited
     }
     
@@ -93,50 +277,140 @@ setInterval(() => {
     }
 }, 30000);
 
+// ============== DICTIONARY ==============
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const OVERLAY_FILE = path.join(DATA_DIR, 'overlay-words.txt'); // Reviewed additions to ka_GE.txt
+
+// Standard Georgian keyboard on a QWERTY board; Shift only matters where it gives a different letter
+const KA_QWERTY = {
+    a: 'ა', b: 'ბ', c: 'ც', d: 'დ', e: 'ე', f: 'ფ', g: 'გ', h: 'ჰ', i: 'ი', j: 'ჯ', k: 'კ', l: 'ლ', m: 'მ',
+    n: 'ნ', o: 'ო', p: 'პ', q: 'ქ', r: 'რ', s: 'ს', t: 'ტ', u: 'უ', v: 'ვ', w: 'წ', x: 'ხ', y: 'ყ', z: 'ზ',
+    C: 'ჩ', J: 'ჟ', R: 'ღ', S: 'შ', T: 'თ', W: 'ჭ', Z: 'ძ'
+};
+
+// Turns Latin keystrokes ("gamarjoba") into Mkhedruli for players without a Georgian layout
+function transliterate(text) {
+    return text.replace(/[a-z]/gi, ch => KA_QWERTY[ch] || KA_QWERTY[ch.toLowerCase()]);
+}
+
 // Load Georgian words
+const dictionary = new Dictionary();
 let WORDS = [];
 let SYLLABLES = [];
+let DAILY_SYLLABLES = []; // ka_GE.txt's [syllable, count] pairs as loaded, untouched by overlay words
 
 function loadWords() {
     try {
         const data = fs.readFileSync(path.join(__dirname, 'ka_GE.txt'), 'utf8');
-        const lines = data.split('\n');
-        WORDS = lines
-            .map(line => line.trim().split(' ')[0])
-            .filter(word => word && word.length >= 2);
-        
-        // Extract common Georgian syllables (2-3 character combinations)
-        const syllableMap = new Map();
-        WORDS.forEach(word => {
-            if (word.length >= 3) {
-                for (let i = 0; i < word.length - 1; i++) {
-                    const syl2 = word.substring(i, i + 2);
-                    const syl3 = i < word.length - 2 ? word.substring(i, i + 3) : null;
-                    
-                    syllableMap.set(syl2, (syllableMap.get(syl2) || 0) + 1);
-                    if (syl3) {
-                        syllableMap.set(syl3, (syllableMap.get(syl3) || 0) + 1);
-                    }
-                }
-            }
-        });
+        const entries = data.split('\n')
+            .map(line => normalizeWord(line).split(' '))
+            .filter(([word]) => word && word.length >= 2);
+        const baseWords = entries.map(([word]) => word);
+        const overlayWords = loadOverlayWords();
+        WORDS = baseWords.concat(overlayWords);
+        
+        // The daily sequence must not change when a worker's overlay grows during the day
+        dictionary.build(baseWords);
+        DAILY_SYLLABLES = dictionary.syllablesByCount;
+        if (overlayWords.length > 0) dictionary.build(WORDS);
+        
+        // The second column is a usage count, the most used words make the "common" pack
+        const commonWords = [...entries]
+            .sort((a, b) => (parseInt(b[1]) || 0) - (parseInt(a[1]) || 0))
+            .slice(0, COMMON_PACK_SIZE)
+            .map(([word]) => word);
+        registerWordPack('common', commonWords);
         
         // Get syllables that appear in many words (good difficulty range)
-        SYLLABLES = Array.from(syllableMap.entries())
+        SYLLABLES = dictionary.getSyllableCounts()
             .filter(([syl, count]) => count >= 50 && count <= 15000 && syl.length >= 2)
-            .sort((a, b) => b[1] - a[1])
             .slice(0, 200)
             .map(([syl]) => syl);
         
-        console.log(`✓ Loaded ${WORDS.length} words and ${SYLLABLES.length} syllables`);
+        console.log(`✓ Loaded ${dictionary.size} words and ${SYLLABLES.length} syllables`);
     } catch (err) {
-        console.error('Error loading words:', err);
+        logError('Error loading words:', err);
         // Fallback syllables
         SYLLABLES = ['ან', 'ის', 'ერ', 'ობ', 'ას', 'ით', 'ურ', 'ელ', 'არ', 'ებ'];
     }
 }
 
+// ============== WORD PACKS ==============
+
+const WORD_PACKS_DIR = path.join(__dirname, 'wordpacks');
+const COMMON_PACK_SIZE = 5000;
+
+// Display names for the packs a host can pick; file packs live in WORD_PACKS_DIR
+const WORD_PACKS = {
+    full: { name: 'სრული ლექსიკონი' },
+    common: { name: 'ხშირი სიტყვები' },
+    nouns: { name: 'არსებითი სახელები', file: 'nouns.txt' },
+    school: { name: 'სასკოლო ლექსიკა', file: 'school.txt' },
+    custom: { name: 'საკუთარი სია' }
+};
+
+// Limits for lists pasted by a host
+const CUSTOM_LIST_MAX_CHARS = 60000;
+const CUSTOM_LIST_MAX_WORDS = 3000;
+const CUSTOM_LIST_MIN_WORDS = 20;
+const PACK_WORD_PATTERN = /^\p{L}{2,30}$/u;
+
+const wordPacks = new Map(); // packId -> Dictionary
+
+function registerWordPack(packId, words) {
+    const packDictionary = new Dictionary();
+    packDictionary.build(words);
+    wordPacks.set(packId, packDictionary);
+    console.log(`✓ Word pack "${packId}": ${packDictionary.size} words`);
+}
+
+// Split free text into unique, normalized words; anything that isn't a plain word is dropped
+function parseWordList(text) {
+    if (typeof text !== 'string') return [];
+    
+    const words = new Set();
+    for (const raw of text.substring(0, CUSTOM_LIST_MAX_CHARS).split(/[\s,;]+/)) {
+        const word = normalizeWord(raw);
+        if (PACK_WORD_PATTERN.test(word)) words.add(word);
+        if (words.size >= CUSTOM_LIST_MAX_WORDS) break;
+    }
+    return [...words];
+}
+
+function loadWordPacks() {
+    wordPacks.set('full', dictionary);
+    
+    Object.entries(WORD_PACKS).forEach(([packId, pack]) => {
+        if (!pack.file) return;
+        try {
+            const text = fs.readFileSync(path.join(WORD_PACKS_DIR, pack.file), 'utf8')
+                .split('\n')
+                .filter(line => !line.trim().startsWith('#'))
+                .join('\n');
+            registerWordPack(packId, parseWordList(text));
+        } catch (err) {
+            logError(`Error loading word pack ${packId}:`, err.message);
+        }
+    });
+}
+
+function getWordPackList() {
+    return Object.entries(WORD_PACKS)
+        .filter(([packId]) => packId === 'custom' || wordPacks.has(packId))
+        .map(([packId, pack]) => ({ id: packId, name: pack.name, words: wordPacks.get(packId)?.size || null }));
+}
+
+function loadOverlayWords() {
+    if (!fs.existsSync(OVERLAY_FILE)) return [];
+    
+    const words = fs.readFileSync(OVERLAY_FILE, 'utf8').split('\n').map(normalizeWord).filter(Boolean);
+    console.log(`✓ Loaded ${words.length} overlay words`);
+    return words;
+}
+
 loadWords();
+loadWordPacks();
 
 // ============== DATA STRUCTURES ==============
 
@@ -152,12 +426,68 @@ const AVATARS = ['🐱', '🐶', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁',
 const COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', 
                 '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9', '#F8B500', '#00CED1'];
 
+// The 33 Mkhedruli letters (U+10D0 - U+10F0) used for the alphabet bonus
+const GEORGIAN_ALPHABET = Array.from({ length: 33 }, (_, i) => String.fromCharCode(0x10D0 + i));
+const GEORGIAN_LETTERS = new Set(GEORGIAN_ALPHABET);
+
+// People watching or queued in a single lobby
+const MAX_SPECTATORS = 20;
+
+// Lobby chat
+const CHAT_HISTORY_SIZE = 30;  // Messages replayed to whoever (re)joins
+const CHAT_MAX_LENGTH = 200;
+
+// Sides in team mode; the colours double as the players' team markers
+const TEAMS = [
+    { id: 0, name: 'წითელი გუნდი', color: '#FF6B6B' },
+    { id: 1, name: 'ლურჯი გუნდი', color: '#45B7D1' }
+];
+
+// Server-side bots: how long they think, how fast they type, which words they reach for
+// and how often they blank and let the bomb go off
+const BOT_SKILLS = {
+    easy: { name: 'მარტივი', thinkMs: [2500, 6000], keystrokeMs: 250, wordLength: [3, 6], failChance: 0.25 },
+    medium: { name: 'საშუალო', thinkMs: [1500, 4000], keystrokeMs: 160, wordLength: [4, 8], failChance: 0.12 },
+    hard: { name: 'რთული', thinkMs: [600, 2000], keystrokeMs: 90, wordLength: [6, 12], failChance: 0.04 }
+};
+const BOT_NAMES = ['ნიკო', 'მარი', 'ლუკა', 'ელენე', 'გიო', 'ნინი', 'დათო', 'თამო', 'საბა', 'ანი', 'ლევანი', 'ქეთი'];
+const BOT_SAFETY_MS = 400; // Bots that mean to answer finish this long before the deadline
+
+// Solo practice
+const PRACTICE_SLOW_FRACTION = 0.6;  // Answers using more of the turn than this count as slow
+const PRACTICE_REVIEW_CHANCE = 0.5;  // How often a prompt is one of the player's weak syllables
+const PRACTICE_RESULT_EXAMPLES = 3;
+
 // ============== HELPER FUNCTIONS ==============
 
 function generatePlayerId() {
     return 'player_' + uuidv4().substring(0, 8);
 }
 
+function generateSeed() {
+    return uuidv4().substring(0, 8);
+}
+
+// Deterministic random numbers in [0, 1) from a string seed (xmur3 hash into mulberry32)
+function createRng(seed) {
+    let h = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    
+    let state = (h ^ (h >>> 16)) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 function generateLobbyCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
     let code = '';
@@ -175,90 +505,208 @@ function getRandomColor() {
     return COLORS[Math.floor(Math.random() * COLORS.length)];
 }
 
-function getRandomSyllable() {
+// ============== SYLLABLE DIFFICULTY ==============
+
+// Ranges are the number of dictionary words that answer a syllable, calibrated on
+// ka_GE.txt as loaded so they don't drift with overlay words
+const DIFFICULTY_TIERS = getDifficultyTiers(DAILY_SYLLABLES);
+
+// Tier ranges are tuned for the full dictionary and shrink with smaller word packs
+function getDifficultyRange(settings, dict = dictionary) {
+    if (settings?.difficulty === 'custom') {
+        return { minSolutions: settings.minSolutions, maxSolutions: settings.maxSolutions };
+    }
+    const tier = Object.hasOwn(DIFFICULTY_TIERS, settings?.difficulty) ? DIFFICULTY_TIERS[settings.difficulty] : DIFFICULTY_TIERS.medium;
+    if (dict === dictionary || dictionary.size === 0) return tier;
+    
+    const scale = Math.min(1, dict.size / dictionary.size);
+    return {
+        minSolutions: Math.max(1, Math.floor(tier.minSolutions * scale)),
+        maxSolutions: Math.max(1, Math.ceil(tier.maxSolutions * scale))
+    };
+}
+
+// Daily runs pick from DAILY_SYLLABLES so the day's sequence stays the same everywhere.
+// Word packs and custom lists can run dry, so they only offer syllables with an unused answer
+// and return null once there are none left
+function getRandomSyllable(settings = null, turnNumber = 0, dict = dictionary, rng = Math.random, usedWords = null) {
+    const range = getDifficultyRange(settings, dict);
+    let syllables = settings?.daily ? DAILY_SYLLABLES : dict.syllablesByCount;
+    if (dict !== dictionary && usedWords?.size) {
+        syllables = syllables.filter(([syl]) => hasUnusedAnswer(syl, dict, usedWords));
+    }
+    
+    if (settings?.difficultyRamp) {
+        const ramped = getRampedRange(range, Math.min(1, turnNumber / RAMP_TURNS));
+        const syllable = dict.pickSyllable(ramped.minSolutions, ramped.maxSolutions, rng, syllables);
+        if (syllable) return syllable;
+    }
+    
+    const syllable = dict.pickSyllable(range.minSolutions, range.maxSolutions, rng, syllables);
+    if (syllable) return syllable;
+    
+    // Fallback when the dictionary has nothing in range
+    if (dict !== dictionary) return dict.pickSyllable(1, Infinity, rng, syllables);
     if (SYLLABLES.length === 0) return 'ან';
-    return SYLLABLES[Math.floor(Math.random() * SYLLABLES.length)];
+    return SYLLABLES[Math.floor(rng() * SYLLABLES.length)];
+}
+
+function hasUnusedAnswer(syllable, dict, usedWords) {
+    return dict.getWords(syllable).some(word => !usedWords.has(word));
 }
 
-function validateWord(word, syllable) {
-    if (!word || word.length < 2) return false;
-    const lowerWord = word.toLowerCase();
-    const lowerSyl = syllable.toLowerCase();
+function validateWord(word, syllable, dict = dictionary) {
+    const lowerWord = normalizeWord(word);
+    const lowerSyl = normalizeWord(syllable);
+    if (lowerWord.length < 2) return false;
     
     // Check if word contains syllable
     if (!lowerWord.includes(lowerSyl)) return false;
     
     // Check if word exists in dictionary
-    return WORDS.some(w => w.toLowerCase() === lowerWord);
+    return dict.has(lowerWord);
+}
+
+// Directory entry for a lobby; owner is the worker running it
+function getLobbySummary(l) {
+    return {
+        id: l.id,
+        code: l.code,
+        name: l.name,
+        hostName: l.players.find(p => p.id === l.hostId)?.name || 'Unknown',
+        playerCount: l.players.length,
+        spectatorCount: l.spectators.length,
+        maxPlayers: l.settings.maxPlayers,
+        state: l.state,
+        locked: l.locked,
+        wordPack: l.settings.wordPack,
+        wordPackName: WORD_PACKS[l.settings.wordPack].name,
+        language: 'Georgian',
+        isPublic: l.settings.isPublic,
+        owner: WORKER_ID
+    };
+}
+
+// Write this worker's lobbies to the directory and remove the ones it no longer has
+const publishedLobbies = new Map(); // lobbyId -> code, as last written to the store
+
+async function publishLobbies() {
+    const writes = [];
+    lobbies.forEach(l => {
+        writes.push(store.set(`lobby:${l.id}`, getLobbySummary(l), LOBBY_LEASE_MS));
+        writes.push(store.set(`code:${l.code}`, l.id, LOBBY_LEASE_MS));
+        publishedLobbies.set(l.id, l.code);
+    });
+    publishedLobbies.forEach((code, lobbyId) => {
+        if (lobbies.has(lobbyId)) return;
+        writes.push(store.del(`lobby:${lobbyId}`), store.del(`code:${code}`));
+        publishedLobbies.delete(lobbyId);
+    });
+    await Promise.all(writes);
 }
 
 function broadcastLobbyList() {
-    const lobbyList = Array.from(lobbies.values())
-        .filter(l => l.settings.isPublic && l.state !== 'finished')
-        .map(l => ({
-            id: l.id,
-            code: l.code,
-            name: l.name,
-            hostName: l.players.find(p => p.id === l.hostId)?.name || 'Unknown',
-            playerCount: l.players.length,
-            maxPlayers: l.settings.maxPlayers,
-            state: l.state,
-            language: 'Georgian'
-        }));
-    
-    io.emit('lobby:list', lobbyList);
-    console.log(`📢 Broadcasting lobby list: ${lobbyList.length} lobbies`);
+    publishLobbies()
+        .then(getLobbyList)
+        .then(lobbyList => {
+            io.emit('lobby:list', lobbyList);
+            console.log(`📢 Broadcasting lobby list: ${lobbyList.length} lobbies`);
+        })
+        .catch(err => logError('Error broadcasting lobby list:', err));
 }
 
-function getLobbyList() {
-    return Array.from(lobbies.values())
-        .filter(l => l.settings.isPublic && l.state !== 'finished')
-        .map(l => ({
-            id: l.id,
-            code: l.code,
-            name: l.name,
-            hostName: l.players.find(p => p.id === l.hostId)?.name || 'Unknown',
-            playerCount: l.players.length,
-            maxPlayers: l.settings.maxPlayers,
-            state: l.state
-        }));
+// Public lobbies on every worker
+async function getLobbyList() {
+    const entries = await store.getAll('lobby:');
+    return entries
+        .filter(entry => entry.isPublic && entry.state !== 'finished')
+        .map(({ isPublic, owner, ...entry }) => entry);
 }
 
 // ============== LOBBY CLASS ==============
 
 class Lobby {
-    constructor(hostId, hostName, lobbyName, isPublic = true) {
-        this.id = uuidv4();
-        this.code = generateLobbyCode();
+    // snapshot: a saved lobby being restored, which keeps its id and code
+    constructor(hostId, hostName, lobbyName, isPublic = true, snapshot = null) {
+        this.id = snapshot ? snapshot.id : uuidv4();
+        this.code = snapshot ? snapshot.code : generateLobbyCode();
         // Security: Sanitize lobby name using global function
         const safeLobbyName = sanitizeName(lobbyName, 30);
         const safeHostName = sanitizeName(hostName);
         this.name = safeLobbyName || `${safeHostName}'s Lobby`;
         this.hostId = hostId;
         this.originalHostId = hostId;
+        this.createdAt = Date.now();
         this.players = [];
+        this.spectators = []; // Watching, not seated: { id, name, avatar, isConnected, joinNextRound }
+        this.chatHistory = [];
+        this.bannedIds = new Set(); // Kept for the lobby's lifetime
+        this.locked = false;        // Locked lobbies only let current members back in
         this.state = 'waiting';
         this.settings = {
             maxPlayers: 8,
             startLives: 3,
             turnTime: 10,
             minWordLength: 2,
-            isPublic: isPublic
+            isPublic: isPublic,
+            difficulty: 'medium',
+            minSolutions: DIFFICULTY_TIERS.medium.minSolutions,
+            maxSolutions: DIFFICULTY_TIERS.medium.maxSolutions,
+            difficultyRamp: false,
+            bonusLetters: true,     // Extra life for using every letter of the alphabet
+            bonusMilestones: true,  // Extra life every 1000 points
+            hiddenFuse: false,      // Random secret bomb duration that burns across turns
+            fuseMinTime: 10,
+            fuseMaxTime: 30,
+            minTurnTime: 3,
+            teamMode: false,        // Two teams alternate turns and pool lives and score
+            practice: false,        // Solo practice: no lives lost, weak syllables come up more
+            daily: null,            // Daily challenge date ('YYYY-MM-DD'): solo run on the day's seed
+            seed: null,             // Private lobbies: fixed seed for the syllable sequence
+            wordPack: 'full'        // Key of WORD_PACKS
         };
+        this.dictionary = dictionary;
+        this.customWords = null;    // Host-provided list when wordPack is 'custom'
+        this.matchWords = new Set();    // Reported words the host allowed for this match
+        this.reportedWords = new Set(); // Reported during this match, candidates for matchWords
+        this.lastRejected = new Map();  // playerId -> last reportable rejection { word, syllable }
         
         this.currentTurnIndex = 0;
+        this.turnNumber = 0;
         this.currentSyllable = '';
+        this.gameSeed = null;      // Seed of the running game's syllable sequence
+        this.dailyRanked = false;  // Daily challenge: this run counts for the day's leaderboard
+        this.dailyAttempt = null;  // Daily challenge: pending check whether the run is ranked
         this.usedWords = new Set();
-        this.timer = null;
-        this.timerValue = 0;
+        this.timer = null;         // Single timeout that ends the turn at turnDeadline
+        this.timerValue = 0;       // Seconds left when the last turn stopped
+        this.turnDeadline = null;  // Absolute ms timestamp the running turn explodes at
         this.lastActivity = Date.now();
         this.turnStartTime = 0;
         this.turnLocked = false; // Prevent submissions after timeout
+        this.lastTeamTurns = [null, null]; // Team mode: who last played for each team
+        
+        // Hidden fuse state (never sent to clients)
+        this.fuseDeadline = null;
+        this.fuseDuration = 0;
+        this.fuseIntensity = 0;
+        this.fuseTimer = null;
+        
+        this.botTimer = null; // A bot's next thought or keystroke
+        
+        this.resuming = false; // Waiting for players after a server restart
+        this.resumeTimer = null;
+        
+        this.matchLog = null; // Recording of the current game, saved when it ends
+        this.practiceStats = new Map(); // Practice: syllable -> { attempts, hits, slow, misses, totalTime }
+        this.weakSyllables = [];        // Practice: the player's weak syllables, as of their saved profile
         
         this.afkCheckInterval = null;
         this.startAfkChecker();
         
-        console.log(`🏠 Lobby created: ${this.code} (${this.name}) by ${hostName}`);
+        if (!snapshot) {
+            console.log(`🏠 Lobby created: ${this.code} (${this.name}) by ${hostName}`);
+        }
     }
     
     startAfkChecker() {
@@ -266,14 +714,14 @@ class Lobby {
             const now = Date.now();
             const inactiveTime = now - this.lastActivity;
             
-            if (inactiveTime > 600000 && (this.players.length === 0 || this.state === 'waiting')) {
+            if (inactiveTime > 600000 && (this.getHumans().length === 0 || this.state === 'waiting')) {
                 this.destroy();
                 lobbies.delete(this.id);
                 broadcastLobbyList();
                 console.log(`🗑️ Deleted inactive lobby: ${this.code}`);
             }
             
-            if (this.state === 'playing') {
+            if (this.state === 'playing' && !this.resuming) {
                 const currentPlayer = this.players[this.currentTurnIndex];
                 if (currentPlayer && !currentPlayer.isConnected) {
                     const disconnectTime = now - (currentPlayer.disconnectedAt || now);
@@ -286,8 +734,9 @@ class Lobby {
     }
     
     destroy() {
-        if (this.timer) clearInterval(this.timer);
+        this.stopTurnTimer();
         if (this.afkCheckInterval) clearInterval(this.afkCheckInterval);
+        if (this.resumeTimer) clearTimeout(this.resumeTimer);
     }
     
     addPlayer(playerId, playerName) {
@@ -305,7 +754,9 @@ class Lobby {
             lives: this.settings.startLives,
             isConnected: true,
             isReady: false,
+            team: this.settings.teamMode ? this.getSmallerTeam() : null,
             currentInput: '',
+            usedLetters: new Set(),
             joinedAt: Date.now()
         };
         
@@ -321,6 +772,12 @@ class Lobby {
     }
     
     removePlayer(playerId) {
+        if (this.removeSpectator(playerId)) {
+            this.transferHostFrom(playerId);
+            if (this.players.length === 0) this.promoteSpectators();
+            return;
+        }
+        
         const index = this.players.findIndex(p => p.id === playerId);
         if (index === -1) return;
         
@@ -328,14 +785,12 @@ class Lobby {
         this.players.splice(index, 1);
         this.lastActivity = Date.now();
         
+        // Bots don't keep a lobby going on their own
+        if (this.getHumans().length === 0) this.players = [];
+        
         console.log(`👋 ${playerName} left lobby ${this.code} (${this.players.length} players)`);
         
-        if (this.hostId === playerId && this.players.length > 0) {
-            if (playerId !== this.originalHostId) {
-                this.hostId = this.players[0].id;
-                console.log(`👑 New host: ${this.players[0].name}`);
-            }
-        }
+        this.transferHostFrom(playerId);
         
         if (this.state === 'playing') {
             if (index < this.currentTurnIndex) {
@@ -344,14 +799,125 @@ class Lobby {
                 this.currentTurnIndex = this.currentTurnIndex % Math.max(1, this.players.length);
             }
             
-            if (this.getAlivePlayers().length <= 1) {
+            if (this.isDecided()) {
                 this.endGame();
             }
+        } else {
+            // A seat opened up, let the queue move
+            if (this.players.length === 0) {
+                // Don't let a lobby die while people are still watching
+                this.spectators.forEach(s => { s.joinNextRound = true; });
+            }
+            this.promoteSpectators();
+        }
+    }
+    
+    transferHostFrom(playerId) {
+        if (this.hostId !== playerId || playerId === this.originalHostId) return;
+        
+        const next = this.getHumans()[0] || this.spectators[0];
+        if (next) {
+            this.hostId = next.id;
+            console.log(`👑 New host: ${next.name}`);
+        }
+    }
+    
+    // ========== SPECTATORS ==========
+    addSpectator(playerId, playerName) {
+        if (this.isSpectator(playerId)) return true;
+        if (this.spectators.length >= MAX_SPECTATORS) return false;
+        
+        this.spectators.push({
+            id: playerId,
+            name: sanitizeName(playerName),
+            avatar: getRandomAvatar(),
+            isConnected: true,
+            joinNextRound: true,
+            joinedAt: Date.now()
+        });
+        this.lastActivity = Date.now();
+        
+        console.log(`👁️ ${playerName} is spectating lobby ${this.code} (${this.spectators.length} spectators)`);
+        return true;
+    }
+    
+    removeSpectator(playerId) {
+        const index = this.spectators.findIndex(s => s.id === playerId);
+        if (index === -1) return false;
+        
+        console.log(`👋 ${this.spectators[index].name} stopped spectating lobby ${this.code}`);
+        this.spectators.splice(index, 1);
+        return true;
+    }
+    
+    isEmpty() {
+        return this.players.length === 0 && this.spectators.length === 0;
+    }
+    
+    // Switch to a server pack, or to the host's own list with 'custom'
+    setWordPack(packId, customWords = null) {
+        if (packId === 'custom') {
+            const words = customWords || this.customWords;
+            if (!words || words.length < CUSTOM_LIST_MIN_WORDS) return false;
+            
+            if (words !== this.customWords || this.settings.wordPack !== 'custom') {
+                this.dictionary = new Dictionary();
+                this.dictionary.build(words);
+            }
+            this.customWords = words;
+        } else {
+            if (!Object.hasOwn(WORD_PACKS, packId) || !wordPacks.has(packId)) return false;
+            this.dictionary = wordPacks.get(packId);
+        }
+        
+        this.settings.wordPack = packId;
+        return true;
+    }
+    
+    isMember(playerId) {
+        return this.players.some(p => p.id === playerId) || this.isSpectator(playerId);
+    }
+    
+    isSpectator(playerId) {
+        return this.spectators.some(s => s.id === playerId);
+    }
+    
+    // Spectators who want to play, in the order they get seated
+    getQueue() {
+        return this.spectators.filter(s => s.joinNextRound);
+    }
+    
+    getQueuePosition(playerId) {
+        const index = this.getQueue().findIndex(s => s.id === playerId);
+        return index === -1 ? null : index + 1;
+    }
+    
+    // Seat queued members, in order, while there is room
+    promoteSpectators() {
+        if (this.state !== 'waiting') return;
+        
+        for (const member of this.getQueue()) {
+            if (this.players.length >= this.settings.maxPlayers) break;
+            
+            this.removeSpectator(member.id);
+            this.addPlayer(member.id, member.name);
+            
+            const player = this.players.find(p => p.id === member.id);
+            player.avatar = member.avatar;
+            if (member.color) player.color = member.color;
+            player.isConnected = member.isConnected;
+            player.disconnectedAt = member.disconnectedAt || null;
+        }
+        
+        // Hand the lobby to someone present if the host is gone for good
+        const hostPresent = this.players.some(p => p.id === this.hostId) || this.isSpectator(this.hostId);
+        if (!hostPresent && this.getHumans().length > 0) {
+            this.hostId = this.getHumans()[0].id;
         }
     }
     
     markDisconnected(playerId) {
-        const player = this.players.find(p => p.id === playerId);
+        const player = this.players.find(p => p.id === playerId) || this.spectators.find(s => s.id === playerId);
         if (player) {
             player.isConnected = false;
             player.disconnectedAt = Date.now();
@@ -359,7 +925,7 @@ class Lobby {
     }
     
     markConnected(playerId) {
-        const player = this.players.find(p => p.id === playerId);
+        const player = this.players.find(p => p.id === playerId) || this.spectators.find(s => s.id === playerId);
         if (player) {
             player.isConnected = true;
             player.disconnectedAt = null;
@@ -370,32 +936,252 @@ class Lobby {
         return this.players.filter(p => p.lives > 0);
     }
     
-    startGame() {
-        // Only include players who are ready AND connected
-        const readyPlayers = this.players.filter(p => p.isReady && p.isConnected);
+    getHumans() {
+        return this.players.filter(p => !p.isBot);
+    }
+    
+    // Practice and the daily challenge are played alone
+    isSolo() {
+        return this.settings.practice || !!this.settings.daily;
+    }
+    
+    // Seeded per turn, so a seed's sequence doesn't depend on what happened earlier (or on a restart)
+    getTurnRng() {
+        return this.gameSeed ? createRng(`${this.gameSeed}:${this.turnNumber}`) : Math.random;
+    }
+    
+    // ========== BOTS ==========
+    addBot(skill) {
+        if (!Object.hasOwn(BOT_SKILLS, skill)) return null;
+        
+        const taken = new Set(this.players.map(p => p.name));
+        const name = BOT_NAMES.map(n => `ბოტი ${n}`).find(n => !taken.has(n)) || 'ბოტი';
+        const id = `bot_${uuidv4().slice(0, 8)}`;
+        if (!this.addPlayer(id, name)) return null;
+        
+        const bot = this.players.find(p => p.id === id);
+        bot.isBot = true;
+        bot.botSkill = skill;
+        bot.isReady = true;
+        return bot;
+    }
+    
+    // A valid unused word for the current syllable, preferring the lengths this skill reaches for
+    pickBotWord(skill) {
+        const candidates = this.dictionary.getWords(this.currentSyllable).filter(w =>
+            w.length > this.currentSyllable.length && w.length >= this.settings.minWordLength && !this.usedWords.has(w)
+        );
+        const [minLength, maxLength] = skill.wordLength;
+        const preferred = candidates.filter(w => w.length >= minLength && w.length <= maxLength);
+        const pool = preferred.length > 0 ? preferred : candidates;
+        return pool.length > 0 ? pool[Math.floor(Math.random() * pool.length)] : null;
+    }
+    
+    // Think, then type a keystroke at a time through the normal typing path and submit;
+    // a bot that blanks types the syllable and lets the bomb go off
+    playBotTurn(bot) {
+        const skill = BOT_SKILLS[bot.botSkill] || BOT_SKILLS.medium;
+        const word = Math.random() < skill.failChance ? null : this.pickBotWord(skill);
+        const text = word || this.currentSyllable;
+        
+        const [minThink, maxThink] = skill.thinkMs;
+        const think = minThink + Math.random() * (maxThink - minThink);
+        // The hidden fuse is a secret, so bots plan against the visible turn length like players do
+        const deadline = this.settings.hiddenFuse
+            ? this.turnStartTime + Math.max(this.settings.turnTime, this.settings.minTurnTime) * 1000
+            : this.turnDeadline;
+        const timeLeft = deadline - Date.now() - text.length * skill.keystrokeMs - BOT_SAFETY_MS;
+        
+        let typed = 0;
+        const type = () => {
+            this.botTimer = null;
+            if (this.state !== 'playing' || this.turnLocked || this.players[this.currentTurnIndex] !== bot) return;
+            
+            if (typed < text.length) {
+                typed++;
+                this.updateTyping(bot.id, text.slice(0, typed));
+                this.botTimer = setTimeout(type, skill.keystrokeMs * (0.5 + Math.random()));
+            } else if (word) {
+                this.submitWord(bot.id, word);
+            }
+        };
+        this.botTimer = setTimeout(type, Math.max(0, Math.min(think, timeLeft)));
+    }
+    
+    // ========== TEAMS ==========
+    getSmallerTeam() {
+        const sizes = TEAMS.map(team => this.players.filter(p => p.team === team.id).length);
+        return sizes[1] < sizes[0] ? 1 : 0;
+    }
+    
+    // Deal seated players out alternately, in seat order
+    balanceTeams() {
+        this.players.forEach((p, index) => { p.team = index % TEAMS.length; });
+    }
+    
+    setTeamMode(enabled) {
+        this.settings.teamMode = enabled;
+        if (enabled) {
+            this.balanceTeams();
+        } else {
+            this.players.forEach(p => { p.team = null; });
+        }
+    }
+    
+    setPlayerTeam(playerId, teamId) {
+        if (!this.settings.teamMode || this.state !== 'waiting') return false;
+        if (!TEAMS.some(team => team.id === teamId)) return false;
+        
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return false;
+        
+        player.team = teamId;
+        return true;
+    }
+    
+    // Both teams need someone ready to play
+    hasReadyTeams() {
+        return TEAMS.every(team => this.players.some(p => p.team === team.id && p.isReady && p.isConnected));
+    }
+    
+    // Whoever shares lives and score with this player (just themselves outside team mode)
+    getTeammates(player) {
+        if (!this.settings.teamMode) return [player];
+        return this.players.filter(p => p.team === player.team);
+    }
+    
+    getPoolScore(player) {
+        return this.getTeammates(player).reduce((sum, p) => sum + (p.score || 0), 0);
+    }
+    
+    setLives(player, lives) {
+        this.getTeammates(player).forEach(p => { p.lives = lives; });
+    }
+    
+    getTeams() {
+        return TEAMS.map(team => {
+            const members = this.players.filter(p => p.team === team.id);
+            return {
+                id: team.id,
+                name: team.name,
+                color: team.color,
+                lives: Math.max(0, ...members.map(p => p.lives)),
+                score: members.reduce((sum, p) => sum + (p.score || 0), 0),
+                members
+            };
+        });
+    }
+    
+    // One side left standing ends the game, in team mode the side is a whole team
+    isDecided() {
+        if (this.settings.practice) return this.players.length === 0;
+        if (this.settings.daily) return this.getAlivePlayers().length === 0;
+        if (!this.settings.teamMode) return this.getAlivePlayers().length <= 1;
+        return this.getTeams().filter(team => team.lives > 0).length <= 1;
+    }
+    
+    // Teams take turns; within a team the members take turns after whoever played last
+    getNextTurnIndex() {
+        if (!this.settings.teamMode) return (this.currentTurnIndex + 1) % this.players.length;
         
-        if (readyPlayers.length < 2) return false;
+        const current = this.players[this.currentTurnIndex];
+        const otherTeam = current ? TEAMS.length - 1 - current.team : 0;
+        const team = this.players.some(p => p.team === otherTeam && p.lives > 0) ? otherTeam : current?.team;
         
-        // Remove non-ready players from the game (they stay in lobby but won't play)
+        const members = this.players.filter(p => p.team === team && p.lives > 0);
+        if (members.length === 0) return (this.currentTurnIndex + 1) % this.players.length;
+        
+        const last = members.findIndex(p => p.id === this.lastTeamTurns[team]);
+        return this.players.indexOf(members[(last + 1) % members.length]);
+    }
+    
+    startGame() {
+        // Only include players who are ready AND connected (solo runs have nobody to wait for)
+        const readyPlayers = this.players.filter(p => (p.isReady || this.isSolo()) && p.isConnected);
+        
+        if (readyPlayers.length < (this.isSolo() ? 1 : 2)) return false;
+        if (this.settings.teamMode && !this.hasReadyTeams()) return false;
+        
+        // Members who weren't ready sit this one out at the front of the queue
+        const benched = this.players.filter(p => !readyPlayers.includes(p));
+        this.spectators.unshift(...benched.map(p => ({
+            id: p.id,
+            name: p.name,
+            avatar: p.avatar,
+            color: p.color,
+            isConnected: p.isConnected,
+            disconnectedAt: p.disconnectedAt || null,
+            joinNextRound: true,
+            joinedAt: p.joinedAt
+        })));
         this.players = readyPlayers;
         
         this.state = 'playing';
         this.usedWords.clear();
+        this.matchWords.clear();
+        this.reportedWords.clear();
+        this.lastRejected.clear();
         this.currentTurnIndex = 0;
+        this.turnNumber = 0;
+        this.fuseDeadline = null;
+        this.lastTeamTurns = [null, null];
+        this.practiceStats.clear();
+        this.weakSyllables = [];
+        if (this.settings.practice) {
+            // Prompts are plain random ones until the player's profile has loaded
+            store.get(`profile:${readyPlayers[0].id}`)
+                .then(profile => { this.weakSyllables = getWeakSyllables(profile); })
+                .catch(err => logError('Error loading profile:', err));
+        }
+        
+        // Everyone gets the same prompts on the same day; other games get the host's seed or a fresh one
+        if (this.settings.daily) {
+            this.settings.daily = getDailyDate();
+            this.gameSeed = getDailySeed(this.settings.daily);
+            this.dailyRanked = false;
+            this.dailyAttempt = startDailyAttempt(readyPlayers[0], this.settings.daily)
+                .then(ranked => { this.dailyRanked = ranked; })
+                .catch(err => logError('Error starting daily attempt:', err));
+        } else {
+            this.gameSeed = this.settings.seed || generateSeed();
+        }
         
         this.players.forEach(p => {
             p.lives = this.settings.startLives;
             p.currentInput = '';
             p.score = 0; // Initialize score
             p.wordsCompleted = 0; // Track words completed
+            p.usedLetters = new Set(); // Track alphabet bonus progress
+            p.longestWord = ''; // Longest word this game, for leaderboards
         });
         
+        this.matchLog = {
+            id: uuidv4(),
+            lobbyCode: this.code,
+            lobbyName: this.name,
+            startedAt: Date.now(),
+            seed: this.gameSeed,
+            settings: { ...this.settings },
+            players: this.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                avatar: p.avatar,
+                color: p.color,
+                lives: p.lives,
+                team: p.team ?? null
+            })),
+            events: []
+        };
+        
         console.log(`🎮 Game started in lobby ${this.code} with ${this.players.length} ready players`);
         this.nextTurn();
         return true;
     }
     
     nextTurn() {
+        // A turn scheduled before the game ended
+        if (this.state !== 'playing') return;
+        
         // Unlock the turn for new submissions
         this.turnLocked = false;
         
@@ -405,119 +1191,224 @@ class Lobby {
             checks++;
         }
         
-        this.currentSyllable = getRandomSyllable();
-        this.timerValue = this.settings.turnTime;
-        this.turnStartTime = Date.now();
-        this.lastActivity = Date.now();
+        const player = this.players[this.currentTurnIndex];
+        if (this.settings.teamMode && player) this.lastTeamTurns[player.team] = player.id;
         
-        if (this.timer) clearInterval(this.timer);
+        this.currentSyllable = this.settings.practice
+            ? this.pickPracticeSyllable()
+            : getRandomSyllable(this.settings, this.turnNumber, this.dictionary, this.getTurnRng(), this.usedWords);
         
-        this.timer = setInterval(() => {
-            this.timerValue -= 0.05;
-            
-            if (this.timerValue <= 0) {
-                this.handleTimeout();
-            } else {
-                this.broadcastTimerUpdate();
-            }
-        }, 50);
+        // The word list has no unused answers left for any syllable
+        if (!this.currentSyllable) {
+            this.endGame();
+            return;
+        }
+        this.turnNumber++;
+        this.turnStartTime = Date.now();
+        this.lastActivity = Date.now();
+        
+        this.stopTurnTimer();
+        
+        if (this.settings.hiddenFuse) {
+            this.armFuse();
+            this.turnDeadline = this.fuseDeadline;
+            this.scheduleFuseHint();
+        } else {
+            this.turnDeadline = this.turnStartTime + this.settings.turnTime * 1000;
+        }
         
+        // Clients count down to the deadline themselves, the server only needs the end
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.handleTimeout();
+        }, this.turnDeadline - Date.now());
+        
+        this.recordEvent('t', this.currentTurnIndex, this.currentSyllable);
         this.broadcastGameState();
+        
+        if (player?.isBot) this.playBotTurn(player);
+    }
+    
+    // Light a new fuse after an explosion, and make sure every turn gets
+    // at least minTurnTime seconds of whatever fuse is left
+    armFuse() {
+        const now = Date.now();
+        
+        if (!this.fuseDeadline) {
+            const { fuseMinTime, fuseMaxTime } = this.settings;
+            this.fuseDuration = fuseMinTime + Math.random() * (fuseMaxTime - fuseMinTime);
+            this.fuseDeadline = now + this.fuseDuration * 1000;
+            this.fuseIntensity = 0;
+        }
+        
+        this.fuseDeadline = Math.max(this.fuseDeadline, now + this.settings.minTurnTime * 1000);
+    }
+    
+    // Wake up when the fuse crosses the next intensity step instead of polling
+    scheduleFuseHint() {
+        const now = Date.now();
+        const hintAt = [0.66, 0.33]
+            .map(fraction => this.fuseDeadline - fraction * this.fuseDuration * 1000)
+            .find(time => time > now);
+        if (!hintAt) return;
+        
+        this.fuseTimer = setTimeout(() => {
+            this.fuseTimer = null;
+            this.broadcastTimerUpdate();
+            this.scheduleFuseHint();
+        }, hintAt - now + 1);
+    }
+    
+    // Stop the turn clock, remembering how much time was left
+    stopTurnTimer() {
+        if (this.timer) clearTimeout(this.timer);
+        if (this.fuseTimer) clearTimeout(this.fuseTimer);
+        if (this.botTimer) clearTimeout(this.botTimer);
+        this.timer = null;
+        this.fuseTimer = null;
+        this.botTimer = null;
+        
+        if (this.turnDeadline) {
+            this.timerValue = Math.max(0, (this.turnDeadline - Date.now()) / 1000);
+            this.turnDeadline = null;
+        }
+    }
+    
+    getTimeRemaining() {
+        if (!this.turnDeadline) return this.timerValue;
+        return Math.max(0, (this.turnDeadline - Date.now()) / 1000);
+    }
+    
+    // Coarse 0-2 hint of how much of the fuse has burned
+    getFuseIntensity() {
+        const remaining = Math.max(0, this.fuseDeadline - Date.now()) / (this.fuseDuration * 1000);
+        if (remaining > 0.66) return 0;
+        if (remaining > 0.33) return 1;
+        return 2;
     }
     
     handleTimeout() {
-        if (this.timer) clearInterval(this.timer);
+        this.stopTurnTimer();
+        metrics.timeouts++;
         
         // Lock the turn to prevent late submissions
         this.turnLocked = true;
         
+        // The bomb went off, so the next turn lights a new fuse
+        this.fuseDeadline = null;
+        
         const loser = this.players[this.currentTurnIndex];
         if (!loser) return;
         
-        loser.lives--;
+        if (this.settings.practice) {
+            this.recordPracticeTurn(loser, 'miss');
+        } else {
+            this.setLives(loser, loser.lives - 1);
+        }
         loser.currentInput = '';
         loser.streak = 0; // Reset streak on timeout
         
         console.log(`💥 ${loser.name} timed out! Lives: ${loser.lives}`);
+        this.recordEvent('x', loser.id, loser.lives);
         this.broadcastExplosion(loser.id);
         
-        const alivePlayers = this.getAlivePlayers();
+        const decided = this.isDecided();
         
         setTimeout(() => {
-            if (alivePlayers.length <= 1) {
+            if (decided) {
                 this.endGame();
+            } else if (this.settings.practice && !loser.isConnected) {
+                this.finishPractice(); // Nobody left to practise
+                this.broadcastGameState();
             } else {
-                this.currentTurnIndex = (this.currentTurnIndex + 1) % this.players.length;
+                this.currentTurnIndex = this.getNextTurnIndex();
                 this.nextTurn();
             }
         }, 1500);
     }
     
     submitWord(playerId, word) {
-        if (this.state !== 'playing') return { success: false, reason: 'თამაში არ მიმდინარეობს' };
+        if (this.state !== 'playing') return { success: false, code: 'not_playing', reason: 'თამაში არ მიმდინარეობს' };
         
         // Prevent late submissions after timeout
         if (this.turnLocked) {
-            return { success: false, reason: 'დაგვიანდა! დრო ამოიწურა' };
+            return { success: false, code: 'turn_locked', reason: 'დაგვიანდა! დრო ამოიწურა' };
         }
         
         const currentPlayer = this.players[this.currentTurnIndex];
         if (!currentPlayer || currentPlayer.id !== playerId) {
-            return { success: false, reason: 'შენი სვლა არ არის' };
+            return { success: false, code: 'not_your_turn', reason: 'შენი სვლა არ არის' };
         }
         
         // Security: Check if player is alive
         if (currentPlayer.lives <= 0) {
-            return { success: false, reason: 'შენ გავარდი' };
+            return { success: false, code: 'eliminated', reason: 'შენ გავარდი' };
         }
         
         // Security: Check if player is connected
         if (!currentPlayer.isConnected) {
-            return { success: false, reason: 'მოთამაშე გავიდა' };
+            return { success: false, code: 'disconnected', reason: 'მოთამაშე გავიდა' };
         }
         
         // Security: Validate word is a string
         if (typeof word !== 'string') {
-            return { success: false, reason: 'არასწორი ტექსტი' };
+            return { success: false, code: 'invalid_input', reason: 'არასწორი ტექსტი' };
         }
         
-        const normalizedWord = sanitizeText(word, 50).toLowerCase();
+        const normalizedWord = normalizeWord(sanitizeText(word, 50));
         
         if (normalizedWord.length < this.settings.minWordLength) {
-            return { success: false, reason: 'სიტყვა ძალიან მოკლეა' };
+            return { success: false, code: 'too_short', params: { min: this.settings.minWordLength }, reason: 'სიტყვა ძალიან მოკლეა' };
         }
         
         // Prevent typing just the syllable itself
-        if (normalizedWord === this.currentSyllable.toLowerCase()) {
-            return { success: false, reason: 'სიტყვა არ შეიძლება იყოს მხოლოდ მარცვალი!' };
+        if (normalizedWord === this.currentSyllable) {
+            return { success: false, code: 'syllable_only', reason: 'სიტყვა არ შეიძლება იყოს მხოლოდ მარცვალი!' };
         }
         
         // Word must be longer than the syllable
         if (normalizedWord.length <= this.currentSyllable.length) {
-            return { success: false, reason: 'სიტყვა უნდა იყოს მარცვალზე გრძელი' };
+            return { success: false, code: 'not_longer_than_syllable', reason: 'სიტყვა უნდა იყოს მარცვალზე გრძელი' };
         }
         
         if (this.usedWords.has(normalizedWord)) {
-            return { success: false, reason: 'სიტყვა უკვე გამოყენებულია' };
+            return { success: false, code: 'already_used', params: { word: normalizedWord }, reason: 'სიტყვა უკვე გამოყენებულია' };
+        }
+        
+        if (!normalizedWord.includes(this.currentSyllable)) {
+            return { success: false, code: 'missing_syllable', params: { word: normalizedWord, syllable: this.currentSyllable }, reason: 'სიტყვა არ შეიცავს მარცვალს' };
         }
         
-        if (!validateWord(normalizedWord, this.currentSyllable)) {
-            return { success: false, reason: 'არასწორი სიტყვა ან არ შეიცავს მარცვალს' };
+        const allowedForMatch = this.matchWords.has(normalizedWord);
+        if (!validateWord(normalizedWord, this.currentSyllable, this.dictionary) && !allowedForMatch) {
+            // Only words missing from the full dictionary can be reported, not ones a pack left out
+            const reportable = !dictionary.has(normalizedWord) && PACK_WORD_PATTERN.test(normalizedWord);
+            if (reportable) {
+                this.lastRejected.set(currentPlayer.id, { word: normalizedWord, syllable: this.currentSyllable });
+            }
+            return { success: false, code: 'not_in_dictionary', params: { word: normalizedWord, syllable: this.currentSyllable }, reason: 'სიტყვა ლექსიკონში არ არის', reportable, word: normalizedWord };
         }
         
         this.usedWords.add(normalizedWord);
         currentPlayer.currentInput = '';
         this.lastActivity = Date.now();
         
-        if (this.timer) clearInterval(this.timer);
+        this.stopTurnTimer();
         
-        // Calculate score based on word length and speed
+        // Calculate score based on word length and speed, measured on the wall clock
+        // (the hidden fuse has no per-turn countdown, so speed is always against turnTime)
         const timeUsed = (Date.now() - this.turnStartTime) / 1000; // seconds
-        const timeRemaining = Math.max(0, this.timerValue);
+        const timeRemaining = Math.max(0, this.settings.turnTime - timeUsed);
         const wordLength = normalizedWord.length;
         
-        // Track previous score for milestone check
+        if (this.settings.practice) {
+            const slow = timeUsed > this.settings.turnTime * PRACTICE_SLOW_FRACTION;
+            this.recordPracticeTurn(currentPlayer, slow ? 'slow' : 'hit', timeUsed);
+        }
+        
+        // Track previous score for milestone check (the team's pooled score in team mode)
         const previousScore = currentPlayer.score || 0;
+        const previousPoolScore = this.getPoolScore(currentPlayer);
         
         // Streak tracking
         currentPlayer.streak = (currentPlayer.streak || 0) + 1;
@@ -535,18 +1426,37 @@ class Lobby {
         
         currentPlayer.score = previousScore + totalScore;
         currentPlayer.wordsCompleted = (currentPlayer.wordsCompleted || 0) + 1;
+        if (normalizedWord.length > (currentPlayer.longestWord || '').length) currentPlayer.longestWord = normalizedWord;
+        // Solo runs aren't counted as games, so their words stay out of lifetime stats too
+        if (!currentPlayer.isBot && !this.isSolo()) recordProfileWord(currentPlayer, normalizedWord, this.currentSyllable, Date.now() - this.turnStartTime);
         
         // Check for bonus HP milestone (every 1000 points)
-        const previousMilestone = Math.floor(previousScore / 1000);
-        const newMilestone = Math.floor(currentPlayer.score / 1000);
+        const previousMilestone = Math.floor(previousPoolScore / 1000);
+        const newMilestone = Math.floor(this.getPoolScore(currentPlayer) / 1000);
         let bonusHP = 0;
         
-        if (newMilestone > previousMilestone) {
+        if (this.settings.bonusMilestones && newMilestone > previousMilestone) {
             bonusHP = newMilestone - previousMilestone;
-            currentPlayer.lives = Math.min(5, currentPlayer.lives + bonusHP); // Cap at 5 lives
+            this.setLives(currentPlayer, Math.min(5, currentPlayer.lives + bonusHP)); // Cap at 5 lives
             console.log(`💖 ${currentPlayer.name} earned ${bonusHP} bonus HP! (${currentPlayer.lives} lives)`);
         }
         
+        // Alphabet bonus: extra life once every Georgian letter has been used
+        let alphabetBonus = false;
+        if (this.settings.bonusLetters) {
+            for (const letter of normalizedWord) {
+                if (GEORGIAN_LETTERS.has(letter)) currentPlayer.usedLetters.add(letter);
+            }
+            
+            if (currentPlayer.usedLetters.size >= GEORGIAN_ALPHABET.length) {
+                alphabetBonus = true;
+                bonusHP++;
+                currentPlayer.usedLetters.clear();
+                this.setLives(currentPlayer, Math.min(5, currentPlayer.lives + 1)); // Cap at 5 lives
+                console.log(`🔤 ${currentPlayer.name} completed the alphabet! (${currentPlayer.lives} lives)`);
+            }
+        }
+        
         // Check for special achievements
         let special = null;
         if (wordLength >= 10) special = 'LEGENDARY'; // 10+ letter word
@@ -555,11 +1465,12 @@ class Lobby {
         if (currentPlayer.streak >= 5) special = special ? special + ' COMBO' : 'ON FIRE';
         if (timeRemaining > this.settings.turnTime * 0.8) special = special ? special + ' QUICK' : 'SPEED DEMON';
         
-        console.log(`✓ ${currentPlayer.name} submitted: ${word} (+${totalScore} pts, total: ${currentPlayer.score})${bonusHP ? ` +${bonusHP}HP` : ''}${special ? ` [${special}]` : ''}`);
-        this.broadcastWordSuccess(playerId, word, totalScore, bonusHP, currentPlayer.streak, special);
+        console.log(`✓ ${currentPlayer.name} submitted: ${normalizedWord} (+${totalScore} pts, total: ${currentPlayer.score})${bonusHP ? ` +${bonusHP}HP` : ''}${special ? ` [${special}]` : ''}`);
+        this.recordEvent('w', playerId, normalizedWord, totalScore, bonusHP, currentPlayer.streak, special, alphabetBonus, currentPlayer.lives);
+        this.broadcastWordSuccess(playerId, normalizedWord, totalScore, bonusHP, currentPlayer.streak, special, alphabetBonus);
         
         setTimeout(() => {
-            this.currentTurnIndex = (this.currentTurnIndex + 1) % this.players.length;
+            this.currentTurnIndex = this.getNextTurnIndex();
             this.nextTurn();
         }, 500);
         
@@ -573,9 +1484,14 @@ class Lobby {
         // Prevent typing after timeout
         if (this.turnLocked) return;
         
-        // Security: Validate it's this player's turn
         const currentPlayer = this.players[this.currentTurnIndex];
-        if (!currentPlayer || currentPlayer.id !== playerId) return;
+        if (!currentPlayer) return;
+        
+        // Teammates of the active player can type suggestions, they just can't submit
+        if (currentPlayer.id !== playerId) {
+            this.suggestToTeam(playerId, text);
+            return;
+        }
         
         // Security: Validate player is alive
         if (currentPlayer.lives <= 0) return;
@@ -586,15 +1502,145 @@ class Lobby {
         // Security: Sanitize text - strip HTML/scripts, limit length
         const sanitizedText = sanitizeText(text, 50);
         
+        if (sanitizedText !== currentPlayer.currentInput) {
+            this.recordEvent('k', playerId, sanitizedText);
+        }
+        
         currentPlayer.currentInput = sanitizedText;
         this.lastActivity = Date.now();
         this.broadcastTyping(playerId, sanitizedText);
     }
     
+    suggestToTeam(playerId, text) {
+        if (!this.settings.teamMode) return;
+        
+        const player = this.players.find(p => p.id === playerId);
+        const currentPlayer = this.players[this.currentTurnIndex];
+        if (!player || player.team !== currentPlayer.team) return;
+        if (player.lives <= 0 || !player.isConnected) return;
+        
+        // Not recorded: suggestions are the team's private business
+        this.lastActivity = Date.now();
+        this.broadcastSuggestion(player, sanitizeText(text, 50));
+    }
+    
+    // ========== PRACTICE ==========
+    // outcome is 'hit', 'slow' (answered, but late in the turn) or 'miss'
+    recordPracticeTurn(player, outcome, answerTime = 0) {
+        const syllable = this.currentSyllable;
+        let stats = this.practiceStats.get(syllable);
+        if (!stats) {
+            stats = { attempts: 0, hits: 0, slow: 0, misses: 0, totalTime: 0 };
+            this.practiceStats.set(syllable, stats);
+        }
+        
+        stats.attempts++;
+        if (outcome === 'miss') {
+            stats.misses++;
+        } else {
+            stats.hits++;
+            stats.totalTime += answerTime;
+            if (outcome === 'slow') stats.slow++;
+        }
+        
+        recordPracticeSyllable(player, syllable, outcome).then(profile => {
+            if (profile) this.weakSyllables = getWeakSyllables(profile);
+        });
+    }
+    
+    // Half the prompts revisit the player's weak syllables, weighted by how weak they are
+    pickPracticeSyllable() {
+        const player = this.players[0];
+        const weak = player ? this.weakSyllables.filter(w =>
+            w.syllable !== this.currentSyllable && hasUnusedAnswer(w.syllable, this.dictionary, this.usedWords)
+        ) : [];
+        
+        if (weak.length > 0 && Math.random() < PRACTICE_REVIEW_CHANCE) {
+            let roll = Math.random() * weak.reduce((sum, w) => sum + w.weakness, 0);
+            for (const w of weak) {
+                roll -= w.weakness;
+                if (roll <= 0) return w.syllable;
+            }
+        }
+        return getRandomSyllable(this.settings, this.turnNumber, this.dictionary, this.getTurnRng(), this.usedWords);
+    }
+    
+    // Per-syllable results of this session, weakest first, with words that would have worked
+    getPracticeResults() {
+        const player = this.players[0];
+        const syllables = [...this.practiceStats].map(([syllable, stats]) => ({
+            syllable,
+            attempts: stats.attempts,
+            hits: stats.hits,
+            slow: stats.slow,
+            misses: stats.misses,
+            hitRate: stats.hits / stats.attempts,
+            averageTime: stats.hits > 0 ? stats.totalTime / stats.hits : null,
+            examples: this.dictionary.getExamples(syllable, PRACTICE_RESULT_EXAMPLES)
+        }));
+        syllables.sort((a, b) => (a.hitRate - b.hitRate) || (b.slow - a.slow) || (b.attempts - a.attempts));
+        
+        return {
+            score: player?.score || 0,
+            words: player?.wordsCompleted || 0,
+            turns: syllables.reduce((sum, s) => sum + s.attempts, 0),
+            syllables
+        };
+    }
+    
+    // End the session without a game-over: practice doesn't count towards wins or leaderboards
+    finishPractice() {
+        const results = this.getPracticeResults();
+        this.stopTurnTimer();
+        this.turnLocked = true;
+        this.matchLog = null;
+        this.resetToWaiting();
+        return results;
+    }
+    
+    // ========== DAILY CHALLENGE ==========
+    async finishDailyRun(ranking) {
+        if (!ranking) return;
+        
+        const date = this.settings.daily;
+        await this.dailyAttempt;
+        const rank = this.dailyRanked ? await recordDailyResult(date, ranking) : null;
+        const socketId = playerToSocket.get(ranking.id);
+        if (socketId) {
+            io.to(socketId).emit('daily:result', {
+                date,
+                ranked: this.dailyRanked,
+                rank,
+                score: ranking.score
+            });
+        }
+    }
+    
+    // Team standings, best first, in the same order as player rankings
+    getTeamRankings() {
+        return this.getTeams()
+            .filter(team => team.members.length > 0)
+            .sort((a, b) => (b.score - a.score) || (b.lives - a.lives))
+            .map((team, index) => ({
+                rank: index + 1,
+                team: team.id,
+                name: team.name,
+                color: team.color,
+                score: team.score,
+                lives: team.lives,
+                members: team.members.map(p => ({
+                    id: p.id,
+                    name: p.name,
+                    avatar: p.avatar,
+                    score: p.score || 0
+                }))
+            }));
+    }
     
     endGame() {
-        if (this.timer) clearInterval(this.timer);
+        this.stopTurnTimer();
         
+        const wasPlaying = this.state === 'playing';
         this.state = 'finished';
         
         // Sort all players by score (highest first), then by lives remaining
@@ -613,27 +1659,197 @@ class Lobby {
                 color: p.color,
                 score: p.score || 0,
                 wordsCompleted: p.wordsCompleted || 0,
-                lives: p.lives
+                longestWord: p.longestWord || '',
+                lives: p.lives,
+                team: p.team ?? null,
+                isBot: !!p.isBot
             }));
         
-        const winner = rankings[0];
+        let winner = rankings[0];
+        
+        // In team mode every member shares their team's place, so the whole winning team wins
+        let teamRankings = null;
+        if (this.settings.teamMode) {
+            teamRankings = this.getTeamRankings();
+            const teamRanks = new Map(teamRankings.map(team => [team.team, team.rank]));
+            rankings.forEach(r => { r.rank = teamRanks.get(r.team); });
+            rankings.sort((a, b) => (a.rank - b.rank) || (b.score - a.score));
+            
+            const winningTeam = teamRankings[0];
+            winner = winningTeam ? {
+                id: null,
+                team: winningTeam.team,
+                name: winningTeam.name,
+                avatar: '👥',
+                score: winningTeam.score
+            } : null;
+        }
+        
+        let matchId = null;
+        if (wasPlaying) {
+            // Bots play for fun, they don't get profiles or leaderboard places; neither does practice
+            const humanRankings = rankings.filter(r => !r.isBot);
+            if (this.settings.daily) {
+                this.finishDailyRun(rankings[0]).catch(err => logError('Error recording daily result:', err));
+            } else if (!this.settings.practice) {
+                recordProfileGame(humanRankings);
+                recordGameResult(this, humanRankings);
+            }
+            
+            if (this.matchLog) {
+                this.recordEvent('e', winner?.id || null);
+                this.matchLog.endedAt = Date.now();
+                this.matchLog.rankings = rankings;
+                this.matchLog.teamRankings = teamRankings;
+                saveMatch(this.matchLog);
+                matchId = this.matchLog.id;
+            }
+        }
+        this.matchLog = null;
         
         console.log(`🏆 Game ended in ${this.code}. Winner: ${winner?.name || 'Nobody'} with ${winner?.score || 0} pts`);
-        this.broadcastGameEnd(winner, rankings);
+        this.broadcastGameEnd(winner, rankings, matchId, teamRankings);
         
         setTimeout(() => {
-            this.state = 'waiting';
-            this.players.forEach(p => {
-                p.isReady = false;
-                p.lives = this.settings.startLives;
-                p.score = 0;
-                p.wordsCompleted = 0;
-            });
+            this.resetToWaiting();
             this.broadcastGameState();
             broadcastLobbyList();
         }, 5000);
     }
     
+    // Compact match log entry: [ms since start, type, ...data]
+    //   t turn start (turnIndex, syllable)     k typing (playerId, text)
+    //   w accepted word (playerId, word, score, bonusHP, streak, special, alphabetBonus, lives)
+    //   r rejected word (playerId, word, code)     x explosion (playerId, lives)
+    //   f hidden fuse intensity (intensity)    e game end (winnerId)
+    recordEvent(type, ...data) {
+        if (!this.matchLog || this.matchLog.events.length >= MAX_MATCH_EVENTS) return;
+        this.matchLog.events.push([Date.now() - this.matchLog.startedAt, type, ...data]);
+    }
+    
+    resetToWaiting() {
+        this.state = 'waiting';
+        this.players.forEach(p => {
+            p.isReady = !!p.isBot; // Bots are always ready
+            p.lives = this.settings.startLives;
+            p.score = 0;
+            p.wordsCompleted = 0;
+            p.usedLetters = new Set();
+            p.longestWord = '';
+        });
+        this.promoteSpectators();
+    }
+    
+    // ========== CHAT ==========
+    addChatMessage(playerId, text) {
+        const sender = this.players.find(p => p.id === playerId) || this.spectators.find(s => s.id === playerId);
+        if (!sender) return null;
+        
+        const message = {
+            id: uuidv4(),
+            playerId,
+            name: sender.name,
+            avatar: sender.avatar,
+            text,
+            timestamp: Date.now()
+        };
+        
+        this.chatHistory.push(message);
+        if (this.chatHistory.length > CHAT_HISTORY_SIZE) {
+            this.chatHistory.shift();
+        }
+        this.lastActivity = Date.now();
+        
+        return message;
+    }
+    
+    // ========== PERSISTENCE ==========
+    toSnapshot() {
+        return {
+            id: this.id,
+            code: this.code,
+            name: this.name,
+            hostId: this.hostId,
+            originalHostId: this.originalHostId,
+            createdAt: this.createdAt,
+            state: this.state,
+            settings: this.settings,
+            players: this.players.map(p => ({
+                ...p,
+                currentInput: '',
+                usedLetters: [...p.usedLetters]
+            })),
+            currentTurnIndex: this.currentTurnIndex,
+            currentSyllable: this.currentSyllable,
+            spectators: this.spectators,
+            chatHistory: this.chatHistory,
+            bannedIds: [...this.bannedIds],
+            customWords: this.customWords,
+            locked: this.locked,
+            usedWords: [...this.usedWords],
+            turnNumber: this.turnNumber,
+            gameSeed: this.gameSeed,
+            dailyRanked: this.dailyRanked,
+            lastTeamTurns: this.lastTeamTurns,
+            matchLog: this.matchLog
+        };
+    }
+    
+    static fromSnapshot(data) {
+        const lobby = new Lobby(data.hostId, '', data.name, data.settings?.isPublic !== false, data);
+        lobby.originalHostId = data.originalHostId;
+        lobby.createdAt = data.createdAt || Date.now();
+        lobby.state = data.state;
+        lobby.settings = { ...lobby.settings, ...data.settings };
+        lobby.players = (data.players || []).map(p => ({
+            ...p,
+            isConnected: !!p.isBot,
+            disconnectedAt: p.isBot ? null : Date.now(),
+            currentInput: '',
+            usedLetters: new Set(p.usedLetters || [])
+        }));
+        lobby.spectators = (data.spectators || []).map(s => ({ ...s, isConnected: false, disconnectedAt: Date.now() }));
+        lobby.chatHistory = data.chatHistory || [];
+        lobby.bannedIds = new Set(data.bannedIds || []);
+        if (!lobby.setWordPack(lobby.settings.wordPack || 'full', data.customWords)) {
+            lobby.setWordPack('full');
+        }
+        lobby.locked = !!data.locked;
+        lobby.currentTurnIndex = data.currentTurnIndex || 0;
+        lobby.currentSyllable = data.currentSyllable || '';
+        lobby.usedWords = new Set(data.usedWords || []);
+        lobby.turnNumber = data.turnNumber || 0;
+        lobby.lastTeamTurns = data.lastTeamTurns || [null, null];
+        lobby.gameSeed = data.gameSeed || null;
+        lobby.dailyRanked = !!data.dailyRanked;
+        lobby.matchLog = data.matchLog || null;
+        return lobby;
+    }
+    
+    // Give players time to reconnect, then continue the game with a fresh turn
+    resumeAfterRestore() {
+        if (this.state === 'finished') {
+            this.resetToWaiting();
+        }
+        
+        if (this.state !== 'playing') return;
+        
+        this.resuming = true;
+        this.turnLocked = true;
+        this.resumeTimer = setTimeout(() => {
+            this.resuming = false;
+            this.resumeTimer = null;
+            if (this.state !== 'playing') return;
+            
+            if (this.isDecided()) {
+                this.endGame();
+            } else {
+                this.currentTurnIndex = this.currentTurnIndex % this.players.length;
+                this.nextTurn();
+            }
+        }, RESTORE_GRACE_MS);
+    }
+    
     broadcastGameState() {
         io.to(this.id).emit('game:state', {
             state: this.state,
@@ -648,28 +1864,61 @@ class Lobby {
                 streak: p.streak || 0,
                 isConnected: p.isConnected,
                 isReady: p.isReady,
-                currentInput: p.currentInput
+                isBot: !!p.isBot,
+                botSkill: p.botSkill || null,
+                team: p.team ?? null,
+                currentInput: p.currentInput,
+                usedLetters: [...p.usedLetters]
+            })),
+            teams: this.settings.teamMode ? this.getTeams().map(({ members, ...team }) => team) : null,
+            spectators: this.spectators.map(s => ({
+                id: s.id,
+                name: s.name,
+                avatar: s.avatar,
+                isConnected: s.isConnected,
+                joinNextRound: s.joinNextRound,
+                queuePosition: this.getQueuePosition(s.id)
             })),
             hostId: this.hostId,
+            locked: this.locked,
             currentTurnIndex: this.currentTurnIndex,
             currentSyllable: this.currentSyllable,
-            timerValue: this.timerValue,
+            timerValue: this.settings.hiddenFuse ? null : this.getTimeRemaining(),
             timerMax: this.settings.turnTime,
+            // Absolute server times; clients correct them with the clock:sync offset
+            turnStartedAt: this.settings.hiddenFuse ? null : this.turnStartTime,
+            deadline: this.settings.hiddenFuse ? null : this.turnDeadline,
+            fuseIntensity: this.settings.hiddenFuse ? this.fuseIntensity : null,
+            customWordCount: this.customWords?.length || 0,
+            // Public lobbies keep their seed to themselves, or the prompts could be looked up ahead
+            seed: this.settings.isPublic ? null : this.gameSeed,
             settings: this.settings
         });
     }
     
+    // Only the hidden fuse sends timer updates: the coarse intensity, and only when it changes
     broadcastTimerUpdate() {
-        io.to(this.id).emit('game:timer', {
-            timerValue: this.timerValue,
-            timerMax: this.settings.turnTime
-        });
+        const intensity = this.getFuseIntensity();
+        if (intensity === this.fuseIntensity) return;
+        this.fuseIntensity = intensity;
+        this.recordEvent('f', intensity);
+        io.to(this.id).emit('game:timer', { hidden: true, intensity });
     }
     
     broadcastTyping(playerId, text) {
         io.to(this.id).emit('game:typing', { playerId, text });
     }
     
+    // Only the suggester's teammates see it; they may be connected to another worker
+    broadcastSuggestion(player, text) {
+        this.getTeammates(player).forEach(p => {
+            const socketId = playerToSocket.get(p.id);
+            if (p.id !== player.id && socketId) {
+                io.to(socketId).emit('game:typing', { playerId: player.id, text, suggestion: true });
+            }
+        });
+    }
+    
     broadcastExplosion(playerId) {
         io.to(this.id).emit('game:explosion', { 
             playerId,
@@ -680,7 +1929,7 @@ class Lobby {
         });
     }
     
-    broadcastWordSuccess(playerId, word, score, bonusHP = 0, streak = 1, special = null) {
+    broadcastWordSuccess(playerId, word, score, bonusHP = 0, streak = 1, special = null, alphabetBonus = false) {
         io.to(this.id).emit('game:word-success', { 
             playerId, 
             word, 
@@ -688,480 +1937,1789 @@ class Lobby {
             bonusHP,
             streak,
             special,
+            alphabetBonus,
             // Include updated player data
             playerLives: this.players.find(p => p.id === playerId)?.lives || 0
         });
     }
     
-    broadcastGameEnd(winner, rankings) {
+    broadcastGameEnd(winner, rankings, matchId = null, teamRankings = null) {
         io.to(this.id).emit('game:end', { 
+            matchId,
             winner: winner ? {
                 id: winner.id,
+                team: winner.team ?? null,
                 name: winner.name,
                 avatar: winner.avatar,
                 score: winner.score || 0
             } : null,
-            rankings: rankings || []
+            rankings: rankings || [],
+            teamRankings
         });
     }
 }
 
-// ============== SOCKET HANDLERS ==============
+// ============== PERSISTENCE ==============
 
-io.on('connection', (socket) => {
-    console.log(`🔌 Connected: ${socket.id}`);
-    
-    // Send lobby list immediately
-    socket.emit('lobby:list', getLobbyList());
-    
-    // ========== PLAYER AUTH ==========
-    socket.on('player:auth', ({ playerId, playerName }) => {
-        console.log(`🔑 Auth request: ${playerName} (${playerId || 'new'})`);
+// Workers behind one Redis may share DATA_DIR, so each keeps its lobbies in its own file
+// and needs a WORKER_ID that survives restarts to find it again
+const SNAPSHOT_FILE = path.join(DATA_DIR, REDIS_URL ? `lobbies-${WORKER_ID}.json` : 'lobbies.json');
+if (REDIS_URL && !/^[\w-]+$/.test(process.env.WORKER_ID || '')) {
+    logError('Each worker needs its own WORKER_ID (letters, digits, _ and -) when REDIS_URL is set');
+    process.exit(1);
+}
+const SNAPSHOT_INTERVAL_MS = 10000;
+const RESTORE_GRACE_MS = 10000; // Time for clients to reconnect before a restored game resumes
+
+// Write to a temp file first so a crash mid-write never corrupts the data
+function writeJsonAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data));
+    fs.renameSync(tmpFile, file);
+}
+
+function saveSnapshot() {
+    try {
+        const lobbyList = Array.from(lobbies.values());
+        const lobbyIds = new Set(lobbyList.map(l => l.id));
+        const snapshot = {
+            savedAt: Date.now(),
+            lobbies: lobbyList.map(l => l.toSnapshot()),
+            // Only players that are seated somewhere are worth restoring
+            players: Array.from(players.values())
+                .filter(p => lobbyIds.has(p.currentLobbyId))
+                .map(p => ({ id: p.id, name: p.name, currentLobbyId: p.currentLobbyId }))
+        };
         
-        let pid = playerId;
-        let isReconnect = false;
+        writeJsonAtomic(SNAPSHOT_FILE, snapshot);
+    } catch (err) {
+        logError('Error saving snapshot:', err);
+    }
+}
+
+function restoreSnapshot() {
+    if (!fs.existsSync(SNAPSHOT_FILE)) return;
+    
+    try {
+        const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
         
-        // Check if reconnecting with existing ID
-        if (pid && players.has(pid)) {
-            isReconnect = true;
-            const oldSocketId = playerToSocket.get(pid);
-            if (oldSocketId && oldSocketId !== socket.id) {
-                socketToPlayer.delete(oldSocketId);
-            }
-            // Update player data
-            const existingPlayer = players.get(pid);
-            existingPlayer.name = playerName || existingPlayer.name;
-            existingPlayer.socketId = socket.id;
-        } else {
-            pid = generatePlayerId();
-            players.set(pid, {
-                id: pid,
-                name: playerName || 'Player',
-                socketId: socket.id,
-                currentLobbyId: null
+        (snapshot.players || []).forEach(p => {
+            players.set(p.id, {
+                id: p.id,
+                name: p.name,
+                socketId: null,
+                currentLobbyId: p.currentLobbyId
             });
-        }
-        
-        socketToPlayer.set(socket.id, pid);
-        playerToSocket.set(pid, socket.id);
-        
-        socket.emit('player:authed', { 
-            playerId: pid, 
-            playerName: playerName || 'Player',
-            isReconnect 
         });
         
-        console.log(`✅ Authed: ${playerName} -> ${pid} (reconnect: ${isReconnect})`);
-        
-        // If reconnecting to a lobby, rejoin the room
-        const player = players.get(pid);
-        if (player && player.currentLobbyId) {
-            const lobby = lobbies.get(player.currentLobbyId);
-            if (lobby) {
-                socket.join(lobby.id);
-                lobby.markConnected(pid);
-                lobby.broadcastGameState();
-            }
-        }
-    });
-    
-    // ========== SESSION RESTORE ==========
-    socket.on('player:restore', ({ playerId, playerName, lobbyId, lobbyCode }) => {
-        console.log(`🔄 Restore request: ${playerName} (${playerId}) -> lobby ${lobbyCode || lobbyId}`);
-        
-        let pid = playerId;
-        let lobby = null;
-        
-        // Try to find the lobby
-        if (lobbyId) {
-            lobby = lobbies.get(lobbyId);
-        }
-        if (!lobby && lobbyCode) {
-            lobby = Array.from(lobbies.values()).find(l => l.code === lobbyCode);
-        }
-        
-        // Check if player exists and was in this lobby
-        if (pid && players.has(pid)) {
-            const existingPlayer = players.get(pid);
-            const oldSocketId = playerToSocket.get(pid);
-            if (oldSocketId && oldSocketId !== socket.id) {
-                socketToPlayer.delete(oldSocketId);
-            }
-            existingPlayer.socketId = socket.id;
-            existingPlayer.name = playerName || existingPlayer.name;
+        (snapshot.lobbies || []).forEach(data => {
+            if (!data.players || data.players.length === 0) return;
             
-            socketToPlayer.set(socket.id, pid);
-            playerToSocket.set(pid, socket.id);
+            const lobby = Lobby.fromSnapshot(data);
+            lobbies.set(lobby.id, lobby);
             
-            // Check if they were in the lobby
-            if (lobby) {
-                const lobbyPlayer = lobby.players.find(p => p.id === pid);
-                if (lobbyPlayer) {
-                    // Restore them to the lobby
-                    socket.join(lobby.id);
-                    existingPlayer.currentLobbyId = lobby.id;
-                    lobby.markConnected(pid);
-                    
-                    socket.emit('player:restored', {
-                        playerId: pid,
-                        inLobby: true,
-                        lobbyId: lobby.id,
-                        lobbyCode: lobby.code,
-                        lobbyName: lobby.name
-                    });
-                    
-                    lobby.broadcastGameState();
-                    console.log(`✅ Restored ${playerName} to lobby ${lobby.code}`);
-                    return;
+            // Seated players who had moved on to a lobby that wasn't saved still need a record
+            lobby.players.forEach(p => {
+                if (!p.isBot && !players.has(p.id)) {
+                    players.set(p.id, { id: p.id, name: p.name, socketId: null, currentLobbyId: lobby.id });
                 }
-            }
-            
-            // Player exists but not in requested lobby
-            socket.emit('player:restored', { playerId: pid, inLobby: false });
-            console.log(`✅ Restored ${playerName} (not in lobby)`);
-        } else {
-            // Create new player
-            pid = generatePlayerId();
-            players.set(pid, {
-                id: pid,
-                name: playerName || 'Guest',
-                socketId: socket.id,
-                currentLobbyId: null
             });
-            socketToPlayer.set(socket.id, pid);
-            playerToSocket.set(pid, socket.id);
             
-            socket.emit('player:restore-failed', { 
-                reason: 'Session expired',
-                newPlayerId: pid 
-            });
-            socket.emit('player:authed', { playerId: pid });
-            console.log(`❌ Restore failed, created new player: ${pid}`);
-        }
-    });
-    
-    // ========== LOBBY MANAGEMENT ==========
-    socket.on('lobby:create', ({ playerName, lobbyName, isPublic }) => {
-        // Security: Rate limit lobby creation (max 3 per 10 seconds)
-        if (isRateLimited(socket.id, 'lobby:create', 3, 10000)) {
-            socket.emit('error', { message: 'ძალიან ბევრი მოთხოვნაა. გთხოვთ დაიცადოთ.' });
-            return;
-        }
-        
-        // Auto-create player if not exists (guest mode)
-        let playerId = socketToPlayer.get(socket.id);
-        
-        if (!playerId) {
-            playerId = generatePlayerId();
-            players.set(playerId, {
-                id: playerId,
-                name: playerName || 'Guest',
-                socketId: socket.id,
-                currentLobbyId: null
-            });
-            socketToPlayer.set(socket.id, playerId);
-            playerToSocket.set(playerId, socket.id);
-            socket.emit('player:authed', { playerId });
-            console.log(`👤 Auto-created player: ${playerName} (${playerId})`);
-        }
-        
-        const player = players.get(playerId);
-        player.name = playerName || player.name || 'Guest';
-        
-        console.log(`📝 Create lobby request from ${player.name}: ${lobbyName}`);
-        
-        // Leave current lobby if in one
-        if (player.currentLobbyId) {
-            const oldLobby = lobbies.get(player.currentLobbyId);
-            if (oldLobby) {
-                oldLobby.removePlayer(playerId);
-                socket.leave(oldLobby.id);
-                if (oldLobby.players.length === 0) {
-                    oldLobby.destroy();
-                    lobbies.delete(oldLobby.id);
-                }
-            }
-        }
-        
-        const lobby = new Lobby(playerId, player.name, lobbyName, isPublic !== false);
-        lobby.addPlayer(playerId, player.name);
-        lobbies.set(lobby.id, lobby);
-        
-        socket.join(lobby.id);
-        player.currentLobbyId = lobby.id;
-        
-        socket.emit('lobby:joined', { 
-            lobbyId: lobby.id, 
-            lobbyCode: lobby.code,
-            lobbyName: lobby.name
+            lobby.resumeAfterRestore();
         });
         
-        lobby.broadcastGameState();
-        broadcastLobbyList();
-        
-        console.log(`✅ Lobby created: ${lobby.code}`);
-    });
+        console.log(`♻️ Restored ${lobbies.size} lobbies from snapshot`);
+    } catch (err) {
+        logError('Error restoring snapshot:', err);
+    }
+}
+
+// ============== PLAYER PROFILES ==============
+
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
+const MAX_PROFILE_SYLLABLES = 100; // Syllable counts kept per profile
+let profilesDirty = false;
+
+// Leaderboards and profile pages show a random public id: the player id is what player:auth trusts
+async function ensurePublicId(playerId) {
+    const existing = await store.get(`public-id:${playerId}`);
+    if (existing) return existing;
     
-    socket.on('lobby:join', ({ lobbyCode, playerName }) => {
-        // Security: Rate limit lobby joins (max 5 per 10 seconds)
-        if (isRateLimited(socket.id, 'lobby:join', 5, 10000)) {
-            socket.emit('error', { message: 'ძალიან ბევრი მოთხოვნაა. გთხოვთ დაიცადოთ.' });
-            return;
-        }
-        
-        // Security: Validate lobbyCode
-        if (!lobbyCode || typeof lobbyCode !== 'string') {
-            socket.emit('error', { message: 'ლობის კოდი არასწორია' });
-            return;
+    const publicId = crypto.randomBytes(8).toString('hex');
+    if (!(await store.setIfAbsent(`public-id:${playerId}`, publicId))) {
+        return store.get(`public-id:${playerId}`);
+    }
+    await store.set(`public-player:${publicId}`, playerId);
+    return publicId;
+}
+
+// Profiles and daily attempts carry the public id, so a single process can rebuild the lookup at boot
+function indexPublicId(playerId, publicId) {
+    return Promise.all([
+        store.set(`public-id:${playerId}`, publicId),
+        store.set(`public-player:${publicId}`, playerId)
+    ]);
+}
+
+// Profiles, results, daily attempts and word reports live in the store. A shared store
+// keeps them itself; a single process loads them from DATA_DIR at boot and saves them back
+async function loadProfiles() {
+    if (store.shared || !fs.existsSync(PROFILES_FILE)) return;
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+        const entries = Object.entries(data);
+        await Promise.all(entries.map(([id, profile]) => {
+            profile.publicId ||= crypto.randomBytes(8).toString('hex');
+            return Promise.all([store.set(`profile:${id}`, profile), indexPublicId(id, profile.publicId)]);
+        }));
+        console.log(`✓ Loaded ${entries.length} player profiles`);
+    } catch (err) {
+        logError('Error loading profiles:', err);
+    }
+}
+
+async function saveProfiles() {
+    if (store.shared || !profilesDirty) return;
+    
+    try {
+        profilesDirty = false;
+        const list = await store.getAll('profile:');
+        writeJsonAtomic(PROFILES_FILE, Object.fromEntries(list.map(profile => [profile.id, profile])));
+    } catch (err) {
+        profilesDirty = true;
+        logError('Error saving profiles:', err);
+    }
+}
+
+function createProfile(playerId, name, publicId) {
+    return {
+        id: playerId,
+        publicId,
+        name: name || 'სტუმარი',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        gamesPlayed: 0,
+        wins: 0,
+        totalWords: 0,
+        longestWord: '',
+        bestStreak: 0,
+        totalScore: 0,
+        totalAnswerTime: 0, // ms, for the average answer time
+        syllables: {},      // syllable -> words answered with it
+        practice: {}        // syllable -> { seen, slow, misses } from solo practice
+    };
+}
+
+// Apply change() to a player's profile, creating it on first use; resolves to the saved profile
+async function updateProfile(playerId, name, change) {
+    try {
+        const publicId = await ensurePublicId(playerId);
+        return await updateRecord(`profile:${playerId}`, profile => {
+            profile ||= createProfile(playerId, name, publicId);
+            profile.publicId ||= publicId;
+            if (name) profile.name = name;
+            change(profile);
+            profile.updatedAt = Date.now();
+            profilesDirty = true;
+            return profile;
+        });
+    } catch (err) {
+        logError('Error updating profile:', err);
+    }
+}
+
+function recordProfileWord(player, word, syllable, answerTime) {
+    return updateProfile(player.id, player.name, profile => {
+        profile.totalWords++;
+        profile.totalAnswerTime += answerTime;
+        profile.bestStreak = Math.max(profile.bestStreak, player.streak || 0);
+        if (word.length > profile.longestWord.length) profile.longestWord = word;
+        
+        profile.syllables[syllable] = (profile.syllables[syllable] || 0) + 1;
+        const syllableEntries = Object.entries(profile.syllables);
+        if (syllableEntries.length > MAX_PROFILE_SYLLABLES) {
+            // Drop the least used syllables
+            profile.syllables = Object.fromEntries(
+                syllableEntries.sort((a, b) => b[1] - a[1]).slice(0, MAX_PROFILE_SYLLABLES / 2)
+            );
         }
-        
-        // Security: Sanitize player name
-        const safeName = sanitizeName(playerName);
-        
-        // Auto-create player if not exists (guest mode)
-        let playerId = socketToPlayer.get(socket.id);
-        
-        if (!playerId) {
-            playerId = generatePlayerId();
-            players.set(playerId, {
-                id: playerId,
-                name: safeName,
-                socketId: socket.id,
-                currentLobbyId: null
-            });
-            socketToPlayer.set(socket.id, playerId);
-            playerToSocket.set(playerId, socket.id);
-            socket.emit('player:authed', { playerId });
-            console.log(`👤 Auto-created player: ${safeName} (${playerId})`);
+    });
+}
+
+function recordProfileGame(rankings) {
+    return Promise.all(rankings.map(r => updateProfile(r.id, r.name, profile => {
+        profile.gamesPlayed++;
+        if (r.rank === 1) profile.wins++;
+        profile.totalScore = (profile.totalScore || 0) + r.score;
+    })));
+}
+
+function recordPracticeSyllable(player, syllable, outcome) {
+    return updateProfile(player.id, player.name, profile => {
+        profile.practice ||= {};
+        
+        const entry = profile.practice[syllable] || (profile.practice[syllable] = { seen: 0, slow: 0, misses: 0 });
+        entry.seen++;
+        if (outcome === 'slow') entry.slow++;
+        if (outcome === 'miss') entry.misses++;
+        
+        const entries = Object.entries(profile.practice);
+        if (entries.length > MAX_PROFILE_SYLLABLES) {
+            // Forget the syllables the player is best at
+            profile.practice = Object.fromEntries(
+                entries.sort((a, b) => getWeakness(b[1]) - getWeakness(a[1])).slice(0, MAX_PROFILE_SYLLABLES / 2)
+            );
         }
-        
-        const player = players.get(playerId);
-        player.name = safeName || player.name || 'Guest';
-        
-        console.log(`📥 Join lobby request: ${lobbyCode} from ${player.name} (${playerId})`);
-        
-        const lobby = Array.from(lobbies.values()).find(l => l.code === lobbyCode.toUpperCase());
-        
-        if (!lobby) {
-            console.log(`❌ Lobby not found: ${lobbyCode}`);
-            socket.emit('error', { message: 'ლობი არ მოიძებნა' });
-            return;
+    });
+}
+
+// 0 for a syllable always answered quickly, 1 for one always missed
+function getWeakness(entry) {
+    return (entry.misses + entry.slow / 2) / entry.seen;
+}
+
+function getWeakSyllables(profile) {
+    return Object.entries(profile?.practice || {})
+        .map(([syllable, entry]) => ({ syllable, weakness: getWeakness(entry) }))
+        .filter(w => w.weakness > 0);
+}
+
+// Stats as shown to clients
+async function getPublicProfile(playerId) {
+    const profile = await store.get(`profile:${playerId}`);
+    if (!profile) return null;
+    
+    return {
+        id: profile.publicId,
+        name: profile.name,
+        createdAt: profile.createdAt,
+        gamesPlayed: profile.gamesPlayed,
+        wins: profile.wins,
+        totalWords: profile.totalWords,
+        longestWord: profile.longestWord,
+        bestStreak: profile.bestStreak,
+        totalScore: profile.totalScore || 0,
+        averageAnswerTime: profile.totalWords > 0 ? profile.totalAnswerTime / profile.totalWords / 1000 : 0,
+        favouriteSyllables: Object.entries(profile.syllables)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([syllable, count]) => ({ syllable, count }))
+    };
+}
+
+// ============== LEADERBOARDS ==============
+
+const RESULTS_FILE = path.join(DATA_DIR, 'results.json');
+const RESULTS_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Older games only count towards "all"
+const LEADERBOARD_PERIODS = { day: 24 * 60 * 60 * 1000, week: RESULTS_MAX_AGE_MS, all: Infinity };
+const LEADERBOARD_METRICS = ['wins', 'score', 'longestWord'];
+const LEADERBOARD_SIZE = 20;
+let resultsDirty = false;
+
+// Each result is stored until it is too old for the weekly board: { lobbyCode, endedAt, rankings }
+async function loadResults() {
+    if (store.shared || !fs.existsSync(RESULTS_FILE)) return;
+    
+    try {
+        const results = JSON.parse(fs.readFileSync(RESULTS_FILE, 'utf8'));
+        await Promise.all(results.map(result => {
+            const ttl = result.endedAt + RESULTS_MAX_AGE_MS - Date.now();
+            return ttl > 0 ? store.set(`result:${uuidv4()}`, result, ttl) : null;
+        }));
+    } catch (err) {
+        logError('Error loading results:', err);
+    }
+}
+
+async function saveResults() {
+    if (store.shared || !resultsDirty) return;
+    
+    try {
+        resultsDirty = false;
+        const results = await store.getAll('result:');
+        writeJsonAtomic(RESULTS_FILE, results.sort((a, b) => a.endedAt - b.endedAt));
+    } catch (err) {
+        resultsDirty = true;
+        logError('Error saving results:', err);
+    }
+}
+
+function recordGameResult(lobby, rankings) {
+    const result = {
+        lobbyCode: lobby.code,
+        endedAt: Date.now(),
+        rankings: rankings.map(r => ({
+            id: r.id,
+            name: r.name,
+            rank: r.rank,
+            score: r.score,
+            longestWord: r.longestWord
+        }))
+    };
+    resultsDirty = true;
+    return store.set(`result:${uuidv4()}`, result, RESULTS_MAX_AGE_MS)
+        .catch(err => logError('Error recording game result:', err));
+}
+
+// Entries carry the players' public ids
+async function getLeaderboard(period, metric) {
+    const totals = new Map(); // playerId -> { id, name, wins, score, longestWord, gamesPlayed }
+    
+    if (period === 'all') {
+        (await store.getAll('profile:')).forEach(profile => {
+            totals.set(profile.id, {
+                id: profile.id,
+                name: profile.name,
+                wins: profile.wins,
+                score: profile.totalScore || 0,
+                longestWord: profile.longestWord,
+                gamesPlayed: profile.gamesPlayed
+            });
+        });
+    } else {
+        const cutoff = Date.now() - LEADERBOARD_PERIODS[period];
+        (await store.getAll('result:'))
+            .filter(result => result.endedAt >= cutoff)
+            .forEach(result => {
+                result.rankings.forEach(r => {
+                    const entry = totals.get(r.id) || { id: r.id, name: r.name, wins: 0, score: 0, longestWord: '', gamesPlayed: 0 };
+                    entry.name = r.name;
+                    entry.gamesPlayed++;
+                    entry.score += r.score;
+                    if (r.rank === 1) entry.wins++;
+                    if ((r.longestWord || '').length > entry.longestWord.length) entry.longestWord = r.longestWord;
+                    totals.set(r.id, entry);
+                });
+            });
+    }
+    
+    const valueOf = entry => metric === 'longestWord' ? entry.longestWord.length : entry[metric];
+    
+    const top = Array.from(totals.values())
+        .filter(entry => valueOf(entry) > 0)
+        .sort((a, b) => valueOf(b) - valueOf(a))
+        .slice(0, LEADERBOARD_SIZE);
+    return Promise.all(top.map(async (entry, index) => ({
+        rank: index + 1,
+        ...entry,
+        id: await store.get(`public-id:${entry.id}`)
+    })));
+}
+
+// ============== DAILY CHALLENGE ==============
+
+const DAILY_FILE = path.join(DATA_DIR, 'daily.json');
+const DAILY_KEEP_DAYS = 30;
+const DAILY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Everyone plays the daily run under the same rules
+const DAILY_SETTINGS = {
+    maxPlayers: 1,
+    startLives: 3,
+    turnTime: 10,
+    minWordLength: 2,
+    difficulty: 'medium',
+    minSolutions: DIFFICULTY_TIERS.medium.minSolutions,
+    maxSolutions: DIFFICULTY_TIERS.medium.maxSolutions,
+    difficultyRamp: true,
+    bonusLetters: true,
+    bonusMilestones: true,
+    hiddenFuse: false,
+    wordPack: 'full'
+};
+let dailyDirty = false;
+
+// Attempts are stored per day and player until the day is DAILY_KEEP_DAYS old:
+// { date, id, name, score, wordsCompleted, longestWord, startedAt, finishedAt }
+function getDailyTtl(date) {
+    return Date.parse(date) + (DAILY_KEEP_DAYS + 1) * 24 * 60 * 60 * 1000 - Date.now();
+}
+
+async function loadDaily() {
+    if (store.shared || !fs.existsSync(DAILY_FILE)) return;
+    
+    try {
+        const days = JSON.parse(fs.readFileSync(DAILY_FILE, 'utf8')); // date -> playerId -> attempt
+        await Promise.all(Object.entries(days).flatMap(([date, attempts]) => {
+            const ttl = getDailyTtl(date);
+            if (!(ttl > 0)) return [];
+            return Object.values(attempts).map(entry => Promise.all([
+                store.set(`daily:${date}:${entry.id}`, { ...entry, date }, ttl),
+                entry.publicId ? indexPublicId(entry.id, entry.publicId) : null
+            ]));
+        }));
+    } catch (err) {
+        logError('Error loading daily results:', err);
+    }
+}
+
+async function saveDaily() {
+    if (store.shared || !dailyDirty) return;
+    
+    try {
+        dailyDirty = false;
+        const days = {};
+        (await store.getAll('daily:')).forEach(entry => {
+            (days[entry.date] ||= {})[entry.id] = entry;
+        });
+        writeJsonAtomic(DAILY_FILE, days);
+    } catch (err) {
+        dailyDirty = true;
+        logError('Error saving daily results:', err);
+    }
+}
+
+// Days change at midnight UTC
+function getDailyDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function getDailySeed(date) {
+    return `daily-${date}`;
+}
+
+// Only a player's first run of the day is ranked; starting it uses it up, even if abandoned.
+// Resolves to whether this run is the ranked one
+async function startDailyAttempt(player, date) {
+    const started = await store.setIfAbsent(`daily:${date}:${player.id}`, {
+        date,
+        id: player.id,
+        publicId: await ensurePublicId(player.id),
+        name: player.name,
+        score: 0,
+        wordsCompleted: 0,
+        longestWord: '',
+        startedAt: Date.now(),
+        finishedAt: null
+    }, getDailyTtl(date));
+    if (started) dailyDirty = true;
+    return started;
+}
+
+// Resolves to the run's place on the day's leaderboard
+async function recordDailyResult(date, ranking) {
+    const entry = await updateRecord(`daily:${date}:${ranking.id}`, entry => entry && {
+        ...entry,
+        name: ranking.name,
+        score: ranking.score,
+        wordsCompleted: ranking.wordsCompleted,
+        longestWord: ranking.longestWord,
+        finishedAt: Date.now()
+    }, getDailyTtl(date));
+    if (!entry) return null;
+    dailyDirty = true;
+    
+    return (await getDailyRankings(date)).findIndex(e => e.id === ranking.id) + 1;
+}
+
+async function getDailyRankings(date) {
+    return (await store.getAll(`daily:${date}:`))
+        .filter(entry => entry.finishedAt)
+        .sort((a, b) => (b.score - a.score) || (a.finishedAt - b.finishedAt));
+}
+
+async function getDailyLeaderboard(date) {
+    return (await getDailyRankings(date))
+        .slice(0, LEADERBOARD_SIZE)
+        .map((entry, index) => ({
+            rank: index + 1,
+            id: entry.publicId || null,
+            name: entry.name,
+            score: entry.score,
+            wordsCompleted: entry.wordsCompleted,
+            longestWord: entry.longestWord
+        }));
+}
+
+// ============== MATCH RECORDINGS ==============
+
+const MATCHES_DIR = path.join(DATA_DIR, 'matches');
+const MAX_MATCH_EVENTS = 20000;  // Per match, mostly typing snapshots
+const MAX_SAVED_MATCHES = 1000;  // Oldest recordings are deleted beyond this
+const MATCH_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function saveMatch(matchLog) {
+    try {
+        writeJsonAtomic(path.join(MATCHES_DIR, `${matchLog.id}.json`), matchLog);
+        pruneMatches();
+        console.log(`🎬 Saved match ${matchLog.id} (${matchLog.events.length} events)`);
+    } catch (err) {
+        logError('Error saving match:', err);
+    }
+}
+
+function pruneMatches() {
+    const files = fs.readdirSync(MATCHES_DIR).filter(f => f.endsWith('.json'));
+    if (files.length <= MAX_SAVED_MATCHES) return;
+    
+    files
+        .map(f => ({ file: path.join(MATCHES_DIR, f), mtime: fs.statSync(path.join(MATCHES_DIR, f)).mtimeMs }))
+        .sort((a, b) => a.mtime - b.mtime)
+        .slice(0, files.length - MAX_SAVED_MATCHES)
+        .forEach(({ file }) => fs.unlinkSync(file));
+}
+
+function loadMatch(matchId) {
+    if (!MATCH_ID_PATTERN.test(matchId)) return null;
+    
+    const file = path.join(MATCHES_DIR, `${matchId}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ============== WORD REPORTS ==============
+
+const REPORTS_FILE = path.join(DATA_DIR, 'word-reports.json');
+const MAX_PENDING_REPORTS = 1000;
+let reportsDirty = false;
+
+// Stored per word: { id, word, syllable, lobbyCode, reporters, count, status, ... }
+async function loadReports() {
+    if (store.shared || !fs.existsSync(REPORTS_FILE)) return;
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(REPORTS_FILE, 'utf8'));
+        await Promise.all(data.map(report => store.set(`report:${report.word}`, report)));
+        console.log(`✓ Loaded ${data.length} word reports`);
+    } catch (err) {
+        logError('Error loading word reports:', err);
+    }
+}
+
+async function saveReports() {
+    if (store.shared || !reportsDirty) return;
+    
+    try {
+        reportsDirty = false;
+        writeJsonAtomic(REPORTS_FILE, await store.getAll('report:'));
+    } catch (err) {
+        reportsDirty = true;
+        logError('Error saving word reports:', err);
+    }
+}
+
+// Repeated reports of the same word bump its count instead of queueing it again
+async function fileWordReport(word, syllable, lobbyCode, playerId, playerName) {
+    if (!(await store.get(`report:${word}`))) {
+        const pending = (await store.getAll('report:')).filter(r => r.status === 'pending');
+        if (pending.length >= MAX_PENDING_REPORTS) return null;
+    }
+    
+    return updateRecord(`report:${word}`, report => {
+        if (report) {
+            if (report.status !== 'pending') return;
+            if (!report.reporters.includes(playerId)) {
+                report.reporters.push(playerId);
+                report.count++;
+            }
+            report.lastReportedAt = Date.now();
+        } else {
+            report = {
+                id: uuidv4(),
+                word,
+                syllable,
+                lobbyCode,
+                reporters: [playerId],
+                reporterName: playerName,
+                count: 1,
+                status: 'pending',
+                reportedAt: Date.now(),
+                lastReportedAt: Date.now()
+            };
         }
         
-        // Leave current lobby if in a different one
-        if (player.currentLobbyId && player.currentLobbyId !== lobby.id) {
-            const oldLobby = lobbies.get(player.currentLobbyId);
-            if (oldLobby) {
-                oldLobby.removePlayer(playerId);
-                socket.leave(oldLobby.id);
-                if (oldLobby.players.length === 0) {
-                    oldLobby.destroy();
-                    lobbies.delete(oldLobby.id);
-                }
+        reportsDirty = true;
+        return report;
+    });
+}
+
+async function getReportsByStatus(status) {
+    return (await store.getAll('report:'))
+        .filter(r => r.status === status)
+        .sort((a, b) => b.count - a.count || a.reportedAt - b.reportedAt);
+}
+
+async function reviewWordReport(reportId, accept) {
+    const found = (await store.getAll('report:')).find(r => r.id === reportId);
+    if (!found || found.status !== 'pending') return null;
+    
+    // Checked again inside the update in case another review got there first
+    let reviewed = false;
+    const report = await updateRecord(`report:${found.word}`, report => {
+        if (report?.status !== 'pending') return;
+        reviewed = true;
+        return { ...report, status: accept ? 'accepted' : 'rejected', reviewedAt: Date.now() };
+    });
+    if (!reviewed) return null;
+    
+    if (accept) {
+        await addOverlayWord(report.word);
+        console.log(`📗 Accepted reported word: ${report.word}`);
+    } else {
+        console.log(`📕 Rejected reported word: ${report.word}`);
+    }
+    
+    reportsDirty = true;
+    await saveReports();
+    return report;
+}
+
+// Accepted words join the live dictionary on every worker: a single process appends
+// them to the overlay file, a shared store keeps them for workers that start later
+async function addOverlayWord(word) {
+    if (store.shared) {
+        await store.set(`overlay:${word}`, word);
+        await askWorkers('dictionary-add', { word });
+    } else {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.appendFileSync(OVERLAY_FILE, `${word}\n`);
+    }
+    dictionary.add(word);
+}
+
+async function loadSharedOverlayWords() {
+    if (!store.shared) return;
+    
+    const added = dictionary.addAll(await store.getAll('overlay:'));
+    console.log(`✓ Loaded ${added} overlay words from the store`);
+}
+
+// ============== HTTP API ==============
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Reviewer endpoints are off unless ADMIN_TOKEN is set
+function requireAdminToken(req, res, next) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token') || '';
+    
+    const expected = Buffer.from(ADMIN_TOKEN);
+    const given = Buffer.from(token);
+    if (!ADMIN_TOKEN || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        res.status(401).json({ error: 'Unauthorized', code: 'unauthorized' });
+        return;
+    }
+    next();
+}
+
+// Liveness: the process answers and reports what it loaded
+app.get('/healthz', (req, res) => {
+    res.json({
+        status: 'ok',
+        worker: WORKER_ID,
+        uptime: Math.round(process.uptime()),
+        words: dictionary.size,
+        syllables: SYLLABLES.length,
+        lobbies: lobbies.size
+    });
+});
+
+// Readiness: no point routing players here without a dictionary or the shared store
+app.get('/readyz', (req, res) => {
+    const ready = dictionary.size > 0 && store.isReady();
+    res.status(ready ? 200 : 503).json({ ready, words: dictionary.size, store: store.isReady() });
+});
+
+function formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    samples.forEach(([labels, value]) => {
+        const labelText = Object.entries(labels)
+            .map(([key, val]) => `${key}="${String(val).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+            .join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+    return lines.join('\n');
+}
+
+app.get('/metrics', (req, res) => {
+    const lobbyStates = { waiting: 0, playing: 0, finished: 0 };
+    lobbies.forEach(l => { lobbyStates[l.state] = (lobbyStates[l.state] || 0) + 1; });
+    // The histogram measures whole sampling ticks; only the overshoot is lag
+    const toSeconds = ns => (Number.isFinite(ns) ? Math.max(0, ns / 1e6 - EVENT_LOOP_RESOLUTION_MS) / 1000 : 0);
+    
+    const output = [
+        formatMetric('bombparty_connected_sockets', 'gauge', 'Connected socket.io clients',
+            [[{}, io.engine.clientsCount]]),
+        formatMetric('bombparty_lobbies', 'gauge', 'Lobbies by state',
+            Object.entries(lobbyStates).map(([lobbyState, count]) => [{ state: lobbyState }, count])),
+        formatMetric('bombparty_active_games', 'gauge', 'Lobbies with a game in progress',
+            [[{}, lobbyStates.playing]]),
+        formatMetric('bombparty_dictionary_words', 'gauge', 'Words in the loaded dictionary',
+            [[{}, dictionary.size]]),
+        formatMetric('bombparty_submits_accepted_total', 'counter', 'Words accepted',
+            [[{}, metrics.submitsAccepted]]),
+        formatMetric('bombparty_submits_rejected_total', 'counter', 'Words rejected, by reason',
+            Array.from(metrics.submitsRejected).map(([code, count]) => [{ reason: code }, count])),
+        formatMetric('bombparty_turn_timeouts_total', 'counter', 'Turns that ran out of time',
+            [[{}, metrics.timeouts]]),
+        formatMetric('bombparty_rate_limit_hits_total', 'counter', 'Requests dropped by the rate limiter, by event',
+            Array.from(metrics.rateLimitHits).map(([event, count]) => [{ event }, count])),
+        formatMetric('bombparty_event_loop_lag_seconds', 'gauge', `Event loop delay over the last ${EVENT_LOOP_WINDOW_MS / 1000}s window`, [
+            [{ quantile: '0.5' }, toSeconds(eventLoopDelay.percentile(50))],
+            [{ quantile: '0.99' }, toSeconds(eventLoopDelay.percentile(99))],
+            [{ quantile: '1' }, toSeconds(eventLoopDelay.max)]
+        ]),
+        formatMetric('process_resident_memory_bytes', 'gauge', 'Resident memory size',
+            [[{}, process.memoryUsage().rss]])
+    ];
+    
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.send(output.join('\n') + '\n');
+});
+
+app.get('/api/leaderboard', async (req, res) => {
+    const period = Object.hasOwn(LEADERBOARD_PERIODS, req.query.period) ? req.query.period : 'all';
+    const metric = LEADERBOARD_METRICS.includes(req.query.metric) ? req.query.metric : 'wins';
+    try {
+        res.json({ period, metric, entries: await getLeaderboard(period, metric) });
+    } catch (err) {
+        logError('Error loading leaderboard:', err);
+        res.status(500).json({ error: 'Could not load leaderboard', code: 'leaderboard_load_failed' });
+    }
+});
+
+app.get('/api/daily', async (req, res) => {
+    const date = DAILY_DATE_PATTERN.test(req.query.date) ? req.query.date : getDailyDate();
+    try {
+        res.json({ date, today: getDailyDate(), entries: await getDailyLeaderboard(date) });
+    } catch (err) {
+        logError('Error loading daily leaderboard:', err);
+        res.status(500).json({ error: 'Could not load daily leaderboard', code: 'leaderboard_load_failed' });
+    }
+});
+
+app.get('/api/word-packs', (req, res) => {
+    res.json({
+        packs: getWordPackList(),
+        customLimits: { minWords: CUSTOM_LIST_MIN_WORDS, maxWords: CUSTOM_LIST_MAX_WORDS, maxChars: CUSTOM_LIST_MAX_CHARS }
+    });
+});
+
+// Recordings stay on the worker that saved them, so the others are asked when it isn't this one
+app.get('/api/matches/:id', async (req, res) => {
+    try {
+        const match = loadMatch(req.params.id) || (await askWorkers('match', { matchId: req.params.id }))[0];
+        if (!match) {
+            res.status(404).json({ error: 'Match not found', code: 'match_not_found' });
+            return;
+        }
+        res.json(match);
+    } catch (err) {
+        logError('Error loading match:', err);
+        res.status(500).json({ error: 'Could not load match', code: 'match_load_failed' });
+    }
+});
+
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// This worker's part of the admin lobby overview
+function getAdminLobbies() {
+    const now = Date.now();
+    return {
+        lobbies: Array.from(lobbies.values()).map(l => ({
+            id: l.id,
+            code: l.code,
+            name: l.name,
+            state: l.state,
+            isPublic: l.settings.isPublic,
+            locked: l.locked,
+            wordPack: l.settings.wordPack,
+            hostId: l.hostId,
+            createdAt: l.createdAt,
+            idleSeconds: Math.round((now - l.lastActivity) / 1000),
+            players: l.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                isConnected: p.isConnected,
+                lives: p.lives,
+                score: p.score || 0
+            })),
+            spectators: l.spectators.map(s => ({ id: s.id, name: s.name, isConnected: s.isConnected })),
+            worker: WORKER_ID
+        })),
+        connectedSockets: io.engine.clientsCount
+    };
+}
+
+app.get('/api/admin/lobbies', requireAdminToken, async (req, res) => {
+    try {
+        const overviews = [getAdminLobbies(), ...await askWorkers('admin-lobbies')];
+        res.json({
+            lobbies: overviews.flatMap(overview => overview.lobbies),
+            connectedSockets: overviews.reduce((sum, overview) => sum + overview.connectedSockets, 0)
+        });
+    } catch (err) {
+        logError('Error listing lobbies:', err);
+        res.status(500).json({ error: 'Could not reach every worker', code: 'worker_unreachable' });
+    }
+});
+
+app.post('/api/admin/lobbies/:id/close', requireAdminToken, async (req, res) => {
+    try {
+        if (!await askLobbyOwner('admin-close', { lobbyId: req.params.id })) {
+            res.status(404).json({ error: 'Lobby not found', code: 'lobby_not_found' });
+            return;
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        logError('Error closing lobby:', err);
+        res.status(500).json({ error: 'Could not reach the lobby\'s worker', code: 'worker_unreachable' });
+    }
+});
+
+app.post('/api/admin/lobbies/:id/kick/:playerId', requireAdminToken, async (req, res) => {
+    try {
+        if (!await askLobbyOwner('admin-kick', { lobbyId: req.params.id, playerId: req.params.playerId })) {
+            res.status(404).json({ error: 'Player not found in lobby', code: 'player_not_found' });
+            return;
+        }
+        res.json({ ok: true });
+    } catch (err) {
+        logError('Error kicking player:', err);
+        res.status(500).json({ error: 'Could not reach the lobby\'s worker', code: 'worker_unreachable' });
+    }
+});
+
+app.post('/api/admin/announce', requireAdminToken, express.json({ limit: '4kb' }), (req, res) => {
+    const message = sanitizeText(req.body?.message, 200);
+    if (!message) {
+        res.status(400).json({ error: 'Message is required', code: 'message_required' });
+        return;
+    }
+    io.emit('server:announcement', { message });
+    console.log(`📢 Announcement: ${message}`);
+    res.json({ ok: true });
+});
+
+app.get('/api/admin/errors', requireAdminToken, (req, res) => {
+    res.json({ errors: [...recentErrors].reverse() });
+});
+
+app.get('/api/admin/word-reports', requireAdminToken, async (req, res) => {
+    const status = ['pending', 'accepted', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    try {
+        res.json({ status, reports: await getReportsByStatus(status) });
+    } catch (err) {
+        logError('Error listing word reports:', err);
+        res.status(500).json({ error: 'Could not list word reports', code: 'reports_load_failed' });
+    }
+});
+
+app.post('/api/admin/word-reports/:id/:decision', requireAdminToken, async (req, res) => {
+    const { id, decision } = req.params;
+    if (decision !== 'accept' && decision !== 'reject') {
+        res.status(400).json({ error: 'Unknown decision', code: 'unknown_decision' });
+        return;
+    }
+    
+    try {
+        const report = await reviewWordReport(id, decision === 'accept');
+        if (!report) {
+            res.status(404).json({ error: 'Report not found', code: 'report_not_found' });
+            return;
+        }
+        res.json(report);
+    } catch (err) {
+        logError('Error reviewing word report:', err);
+        res.status(500).json({ error: 'Could not review word report', code: 'report_review_failed' });
+    }
+});
+
+// Looked up by public id
+app.get('/api/players/:id', async (req, res) => {
+    try {
+        const playerId = await store.get(`public-player:${req.params.id}`);
+        const profile = playerId ? await getPublicProfile(playerId) : null;
+        if (!profile) {
+            res.status(404).json({ error: 'Player not found', code: 'player_not_found' });
+            return;
+        }
+        res.json(profile);
+    } catch (err) {
+        logError('Error loading profile:', err);
+        res.status(500).json({ error: 'Could not load profile', code: 'profile_load_failed' });
+    }
+});
+
+restoreSnapshot();
+
+// Records come from the store, so they load once it is connected
+async function loadRecords() {
+    await Promise.all([loadProfiles(), loadResults(), loadDaily(), loadReports(), loadSharedOverlayWords()]);
+}
+
+function saveRecords() {
+    return Promise.all([saveProfiles(), saveResults(), saveDaily(), saveReports()]);
+}
+
+setInterval(() => {
+    saveSnapshot();
+    saveRecords();
+}, SNAPSHOT_INTERVAL_MS);
+
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        console.log(`💾 ${signal} received, saving lobbies and profiles...`);
+        saveSnapshot();
+        saveRecords().finally(() => process.exit(0));
+    });
+});
+
+// ============== SOCKET HANDLERS ==============
+// Handlers always run on the worker that owns the lobby they act on. When the socket
+// is connected to another worker, routeSocketEvent forwards the event and the handler
+// gets a stand-in socket (see WORKER ROUTING)
+
+const socketHandlers = new Map(); // event -> handler(socket, data)
+
+function onSocketEvent(event, handler) {
+    socketHandlers.set(event, handler);
+}
+
+// Errors go out as a stable code plus params for the client to translate;
+// the Georgian message is kept for clients that predate the codes
+const ERROR_MESSAGES = {
+    rate_limited: 'ძალიან ბევრი მოთხოვნაა. გთხოვთ დაიცადოთ.',
+    word_list_too_short: 'სიაში საჭიროა მინიმუმ {min} სიტყვა',
+    invalid_lobby_code: 'ლობის კოდი არასწორია',
+    lobby_not_found: 'ლობი არ მოიძებნა',
+    banned: 'ამ ლობიდან დაბლოკილი ხარ',
+    lobby_locked: 'ლობი ჩაკეტილია',
+    game_in_progress: 'თამაში მიმდინარეობს - შესვლა შეუძლებელია',
+    join_failed: 'ვერ შევდივარ (სავსეა?)',
+    host_only: 'ეს მხოლოდ ჰოსტს შეუძლია',
+    lobby_full: 'ლობი სავსეა',
+    not_enough_players: 'საჭიროა მინიმუმ {min} მოთამაშე',
+    teams_not_ready: 'გუნდურ რეჟიმში ორივე გუნდს სჭირდება მზად მყოფი მოთამაშე',
+    report_queue_full: 'განხილვის რიგი სავსეა, სცადე მოგვიანებით',
+    chat_rate_limited: 'ძალიან ხშირად წერ - მოიცადე',
+    worker_unreachable: 'სერვერთან კავშირი ვერ მოხერხდა, სცადე ხელახლა'
+};
+
+function emitError(socket, code, params = {}) {
+    const message = ERROR_MESSAGES[code].replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+    socket.emit('error', { code, params, message });
+}
+
+io.on('connection', (socket) => {
+    console.log(`🔌 Connected: ${socket.id}`);
+    
+    // Send lobby list immediately
+    getLobbyList()
+        .then(lobbyList => socket.emit('lobby:list', lobbyList))
+        .catch(err => logError('Error loading lobby list:', err));
+    
+    // Events are routed one at a time so a forwarded event can't be overtaken by the next one
+    let pending = Promise.resolve();
+    for (const event of socketHandlers.keys()) {
+        socket.on(event, (data) => {
+            pending = pending
+                .then(() => routeSocketEvent(socket, event, data))
+                .catch(err => logError(`Error handling ${event}:`, err));
+        });
+    }
+});
+
+// ========== CLOCK SYNC ==========
+// Clients ping a few times and keep the lowest-latency answer to estimate their clock offset
+onSocketEvent('clock:sync', (socket, data) => {
+    if (isRateLimited(socket.id, 'clock', 10, 10000)) return;
+    if (!data || typeof data.clientTime !== 'number') return;
+    
+    socket.emit('clock:sync', { clientTime: data.clientTime, serverTime: Date.now() });
+});
+
+// ========== PLAYER AUTH ==========
+onSocketEvent('player:auth', (socket, { playerId, playerName }) => {
+    console.log(`🔑 Auth request: ${playerName} (${playerId || 'new'})`);
+    
+    let pid = playerId;
+    let isReconnect = false;
+    
+    // Check if reconnecting with existing ID
+    if (pid && players.has(pid)) {
+        isReconnect = true;
+        const oldSocketId = playerToSocket.get(pid);
+        if (oldSocketId && oldSocketId !== socket.id) {
+            socketToPlayer.delete(oldSocketId);
+        }
+        // Update player data
+        const existingPlayer = players.get(pid);
+        existingPlayer.name = playerName || existingPlayer.name;
+        existingPlayer.socketId = socket.id;
+    } else {
+        pid = generatePlayerId();
+        players.set(pid, {
+            id: pid,
+            name: playerName || 'Player',
+            socketId: socket.id,
+            currentLobbyId: null
+        });
+    }
+    
+    socketToPlayer.set(socket.id, pid);
+    playerToSocket.set(pid, socket.id);
+    
+    socket.emit('player:authed', { 
+        playerId: pid, 
+        playerName: playerName || 'Player',
+        isReconnect 
+    });
+    
+    console.log(`✅ Authed: ${playerName} -> ${pid} (reconnect: ${isReconnect})`);
+    
+    // If reconnecting to a lobby, rejoin the room
+    const player = players.get(pid);
+    if (player && player.currentLobbyId) {
+        const lobby = lobbies.get(player.currentLobbyId);
+        if (lobby) {
+            socket.join(lobby.id);
+            lobby.markConnected(pid);
+            lobby.broadcastGameState();
+        }
+    }
+});
+
+// ========== PLAYER SETTINGS ==========
+onSocketEvent('player:settings', (socket, data) => {
+    const player = players.get(socketToPlayer.get(socket.id));
+    if (!player || !data) return;
+    
+    if (typeof data.transliterate === 'boolean') {
+        player.transliterate = data.transliterate;
+    }
+});
+
+// ========== SESSION RESTORE ==========
+onSocketEvent('player:restore', (socket, { playerId, playerName, lobbyId, lobbyCode }) => {
+    console.log(`🔄 Restore request: ${playerName} (${playerId}) -> lobby ${lobbyCode || lobbyId}`);
+    
+    let pid = playerId;
+    let lobby = null;
+    
+    // Try to find the lobby
+    if (lobbyId) {
+        lobby = lobbies.get(lobbyId);
+    }
+    if (!lobby && lobbyCode) {
+        lobby = Array.from(lobbies.values()).find(l => l.code === lobbyCode);
+    }
+    
+    // Check if player exists and was in this lobby
+    if (pid && players.has(pid)) {
+        const existingPlayer = players.get(pid);
+        const oldSocketId = playerToSocket.get(pid);
+        if (oldSocketId && oldSocketId !== socket.id) {
+            socketToPlayer.delete(oldSocketId);
+        }
+        existingPlayer.socketId = socket.id;
+        existingPlayer.name = playerName || existingPlayer.name;
+        
+        socketToPlayer.set(socket.id, pid);
+        playerToSocket.set(pid, socket.id);
+        
+        // Check if they were in the lobby
+        if (lobby) {
+            const lobbyPlayer = lobby.players.find(p => p.id === pid) || lobby.spectators.find(s => s.id === pid);
+            if (lobbyPlayer) {
+                // Restore them to the lobby
+                socket.join(lobby.id);
+                existingPlayer.currentLobbyId = lobby.id;
+                lobby.markConnected(pid);
+                
+                socket.emit('player:restored', {
+                    playerId: pid,
+                    inLobby: true,
+                    lobbyId: lobby.id,
+                    lobbyCode: lobby.code,
+                    lobbyName: lobby.name,
+                    asSpectator: lobby.isSpectator(pid)
+                });
+                socket.emit('chat:history', lobby.chatHistory);
+                
+                lobby.broadcastGameState();
+                console.log(`✅ Restored ${playerName} to lobby ${lobby.code}`);
+                return;
             }
         }
         
-        if (lobby.state === 'playing') {
-            // Check if player was in this game (by ID or by name for reconnection)
-            let existingPlayer = lobby.players.find(p => p.id === playerId);
-            
-            // Also try to find by name if they have a disconnected player with same name
-            if (!existingPlayer) {
-                existingPlayer = lobby.players.find(p => 
-                    p.name === player.name && !p.isConnected
-                );
-                if (existingPlayer) {
-                    // Update the player ID mapping
-                    console.log(`🔄 Reconnecting ${player.name} to their old slot`);
-                    existingPlayer.id = playerId;
-                }
+        // Player exists but not in requested lobby
+        socket.emit('player:restored', { playerId: pid, inLobby: false });
+        console.log(`✅ Restored ${playerName} (not in lobby)`);
+    } else {
+        // Create new player
+        pid = generatePlayerId();
+        players.set(pid, {
+            id: pid,
+            name: playerName || 'Guest',
+            socketId: socket.id,
+            currentLobbyId: null
+        });
+        socketToPlayer.set(socket.id, pid);
+        playerToSocket.set(pid, socket.id);
+        
+        socket.emit('player:restore-failed', { 
+            code: 'session_expired',
+            reason: 'Session expired',
+            newPlayerId: pid 
+        });
+        socket.emit('player:authed', { playerId: pid });
+        console.log(`❌ Restore failed, created new player: ${pid}`);
+    }
+});
+
+// ========== LOBBY MANAGEMENT ==========
+onSocketEvent('lobby:create', (socket, { playerName, lobbyName, isPublic, wordPack, wordList, practice, daily }) => {
+    // Security: Rate limit lobby creation (max 3 per 10 seconds)
+    if (isRateLimited(socket.id, 'lobby:create', 3, 10000)) {
+        emitError(socket, 'rate_limited');
+        return;
+    }
+    
+    // Auto-create player if not exists (guest mode)
+    let playerId = socketToPlayer.get(socket.id);
+    
+    if (!playerId) {
+        playerId = generatePlayerId();
+        players.set(playerId, {
+            id: playerId,
+            name: playerName || 'Guest',
+            socketId: socket.id,
+            currentLobbyId: null
+        });
+        socketToPlayer.set(socket.id, playerId);
+        playerToSocket.set(playerId, socket.id);
+        socket.emit('player:authed', { playerId });
+        console.log(`👤 Auto-created player: ${playerName} (${playerId})`);
+    }
+    
+    const player = players.get(playerId);
+    player.name = playerName || player.name || 'Guest';
+    
+    console.log(`📝 Create lobby request from ${player.name}: ${lobbyName}`);
+    
+    // Leave current lobby if in one
+    if (player.currentLobbyId) {
+        const oldLobby = lobbies.get(player.currentLobbyId);
+        if (oldLobby) {
+            oldLobby.removePlayer(playerId);
+            socket.leave(oldLobby.id);
+            if (oldLobby.isEmpty()) {
+                oldLobby.destroy();
+                lobbies.delete(oldLobby.id);
             }
-            
-            if (!existingPlayer) {
-                socket.emit('error', { message: 'თამაში მიმდინარეობს - შესვლა შეუძლებელია' });
+        }
+    }
+    
+    // A pasted list has to be usable before we create anything
+    let customWords = null;
+    if (wordPack === 'custom') {
+        customWords = parseWordList(wordList);
+        if (customWords.length < CUSTOM_LIST_MIN_WORDS) {
+            emitError(socket, 'word_list_too_short', { min: CUSTOM_LIST_MIN_WORDS });
+            return;
+        }
+    }
+    
+    // Solo lobbies are private and locked: a single seat for the player practising or on the daily run
+    const solo = practice === true || daily === true;
+    const lobby = new Lobby(playerId, player.name, lobbyName, isPublic !== false && !solo);
+    if (wordPack) lobby.setWordPack(wordPack, customWords);
+    if (solo) {
+        lobby.settings.maxPlayers = 1;
+        lobby.locked = true;
+    }
+    if (daily === true) {
+        Object.assign(lobby.settings, DAILY_SETTINGS, { daily: getDailyDate() });
+        lobby.setWordPack(DAILY_SETTINGS.wordPack);
+    } else if (practice === true) {
+        lobby.settings.practice = true;
+    }
+    lobby.addPlayer(playerId, player.name);
+    lobbies.set(lobby.id, lobby);
+    
+    socket.join(lobby.id);
+    player.currentLobbyId = lobby.id;
+    
+    socket.emit('lobby:joined', { 
+        lobbyId: lobby.id, 
+        lobbyCode: lobby.code,
+        lobbyName: lobby.name
+    });
+    
+    if (lobby.isSolo()) {
+        lobby.startGame();
+    } else {
+        lobby.broadcastGameState();
+    }
+    broadcastLobbyList();
+    
+    console.log(`✅ Lobby created: ${lobby.code}${lobby.settings.practice ? ' (practice)' : lobby.settings.daily ? ' (daily)' : ''}`);
+});
+
+onSocketEvent('lobby:join', (socket, { lobbyCode, playerName }) => {
+    // Security: Rate limit lobby joins (max 5 per 10 seconds)
+    if (isRateLimited(socket.id, 'lobby:join', 5, 10000)) {
+        emitError(socket, 'rate_limited');
+        return;
+    }
+    
+    // Security: Validate lobbyCode
+    if (!lobbyCode || typeof lobbyCode !== 'string') {
+        emitError(socket, 'invalid_lobby_code');
+        return;
+    }
+    
+    // Security: Sanitize player name
+    const safeName = sanitizeName(playerName);
+    
+    // Auto-create player if not exists (guest mode)
+    let playerId = socketToPlayer.get(socket.id);
+    
+    if (!playerId) {
+        playerId = generatePlayerId();
+        players.set(playerId, {
+            id: playerId,
+            name: safeName,
+            socketId: socket.id,
+            currentLobbyId: null
+        });
+        socketToPlayer.set(socket.id, playerId);
+        playerToSocket.set(playerId, socket.id);
+        socket.emit('player:authed', { playerId });
+        console.log(`👤 Auto-created player: ${safeName} (${playerId})`);
+    }
+    
+    const player = players.get(playerId);
+    player.name = safeName || player.name || 'Guest';
+    
+    console.log(`📥 Join lobby request: ${lobbyCode} from ${player.name} (${playerId})`);
+    
+    const lobby = Array.from(lobbies.values()).find(l => l.code === lobbyCode.toUpperCase());
+    
+    if (!lobby) {
+        console.log(`❌ Lobby not found: ${lobbyCode}`);
+        emitError(socket, 'lobby_not_found');
+        return;
+    }
+    
+    if (lobby.bannedIds.has(playerId)) {
+        emitError(socket, 'banned');
+        return;
+    }
+    
+    // Locked lobbies only take back their own members
+    if (lobby.locked && !lobby.isMember(playerId)) {
+        emitError(socket, 'lobby_locked');
+        return;
+    }
+    
+    // Leave current lobby if in a different one
+    if (player.currentLobbyId && player.currentLobbyId !== lobby.id) {
+        const oldLobby = lobbies.get(player.currentLobbyId);
+        if (oldLobby) {
+            oldLobby.removePlayer(playerId);
+            socket.leave(oldLobby.id);
+            if (oldLobby.isEmpty()) {
+                oldLobby.destroy();
+                lobbies.delete(oldLobby.id);
+            }
+        }
+    }
+    
+    let asSpectator = false;
+    
+    if (lobby.isSpectator(playerId)) {
+        // Already watching this lobby
+        lobby.markConnected(playerId);
+        asSpectator = true;
+    } else if (lobby.state === 'playing') {
+        // Check if player was in this game (by ID or by name for reconnection)
+        let existingPlayer = lobby.players.find(p => p.id === playerId);
+        
+        // Also try to find by name if they have a disconnected player with same name
+        if (!existingPlayer) {
+            existingPlayer = lobby.players.find(p => 
+                p.name === player.name && !p.isConnected
+            );
+            if (existingPlayer) {
+                // Update the player ID mapping
+                console.log(`🔄 Reconnecting ${player.name} to their old slot`);
+                existingPlayer.id = playerId;
+            }
+        }
+        
+        if (existingPlayer) {
+            existingPlayer.isConnected = true;
+            existingPlayer.disconnectedAt = null;
+        } else {
+            // Latecomers watch until the next round
+            if (!lobby.addSpectator(playerId, player.name)) {
+                emitError(socket, 'game_in_progress');
+                return;
+            }
+            asSpectator = true;
+        }
+    } else {
+        // Check if already in lobby
+        const existingPlayer = lobby.players.find(p => p.id === playerId);
+        if (existingPlayer) {
+            existingPlayer.isConnected = true;
+        } else if (!lobby.addPlayer(playerId, player.name)) {
+            // Lobby is full, watch instead
+            if (!lobby.addSpectator(playerId, player.name)) {
+                emitError(socket, 'join_failed');
+                return;
+            }
+            asSpectator = true;
+        }
+    }
+    
+    socket.join(lobby.id);
+    player.currentLobbyId = lobby.id;
+    
+    socket.emit('lobby:joined', { 
+        lobbyId: lobby.id, 
+        lobbyCode: lobby.code,
+        lobbyName: lobby.name,
+        asSpectator
+    });
+    socket.emit('chat:history', lobby.chatHistory);
+    
+    lobby.broadcastGameState();
+    broadcastLobbyList();
+    
+    console.log(`✅ Joined lobby: ${lobby.code}${asSpectator ? ' (spectating)' : ''}`);
+});
+
+onSocketEvent('lobby:leave', (socket) => {
+    handleLeaveLobby(socket);
+});
+
+onSocketEvent('lobby:refresh', (socket) => {
+    getLobbyList()
+        .then(lobbyList => socket.emit('lobby:list', lobbyList))
+        .catch(err => logError('Error loading lobby list:', err));
+});
+
+onSocketEvent('spectator:join-next', (socket, data) => {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    const spectator = lobby?.spectators.find(s => s.id === playerId);
+    if (!spectator) return;
+    
+    spectator.joinNextRound = data?.enabled !== false;
+    lobby.promoteSpectators();
+    lobby.broadcastGameState();
+    broadcastLobbyList();
+});
+
+// ========== PROFILES ==========
+onSocketEvent('profile:get', (socket) => {
+    const playerId = socketToPlayer.get(socket.id);
+    if (!playerId) {
+        socket.emit('profile:data', null);
+        return;
+    }
+    // The public id lets the client find itself on leaderboards
+    Promise.all([getPublicProfile(playerId), store.get(`public-id:${playerId}`)])
+        .then(([profile, publicId]) => {
+            socket.emit('profile:data', profile);
+            if (publicId) socket.emit('player:public-id', { publicId });
+        })
+        .catch(err => logError('Error loading profile:', err));
+});
+
+// ========== LOBBY SETTINGS ==========
+onSocketEvent('lobby:settings', (socket, settings) => {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    // The daily challenge's rules are the same for everyone
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby || lobby.hostId !== playerId || lobby.settings.daily) return;
+    
+    if (settings.maxPlayers && !lobby.settings.practice) lobby.settings.maxPlayers = Math.min(12, Math.max(2, settings.maxPlayers));
+    if (settings.startLives) lobby.settings.startLives = Math.min(5, Math.max(1, settings.startLives));
+    if (settings.turnTime) lobby.settings.turnTime = Math.min(30, Math.max(5, settings.turnTime));
+    if (settings.minWordLength) lobby.settings.minWordLength = Math.min(5, Math.max(2, settings.minWordLength));
+    if (typeof settings.isPublic === 'boolean') lobby.settings.isPublic = settings.isPublic;
+    if (lobby.settings.isPublic) lobby.settings.seed = null;
+    if (typeof settings.difficultyRamp === 'boolean') lobby.settings.difficultyRamp = settings.difficultyRamp;
+    if (typeof settings.bonusLetters === 'boolean') lobby.settings.bonusLetters = settings.bonusLetters;
+    if (typeof settings.bonusMilestones === 'boolean') lobby.settings.bonusMilestones = settings.bonusMilestones;
+    
+    // Hidden fuse can only be switched between games
+    if (lobby.state === 'waiting') {
+        if (typeof settings.hiddenFuse === 'boolean') lobby.settings.hiddenFuse = settings.hiddenFuse;
+        if (settings.fuseMinTime) lobby.settings.fuseMinTime = Math.min(60, Math.max(5, settings.fuseMinTime));
+        if (settings.fuseMaxTime) lobby.settings.fuseMaxTime = Math.min(90, Math.max(5, settings.fuseMaxTime));
+        if (settings.minTurnTime) lobby.settings.minTurnTime = Math.min(10, Math.max(1, settings.minTurnTime));
+        // Seeds are for friends replaying a sequence, so only private lobbies take one
+        if (typeof settings.seed === 'string' && !lobby.settings.isPublic) {
+            lobby.settings.seed = sanitizeText(settings.seed, 32) || null;
+        }
+        if (typeof settings.teamMode === 'boolean' && settings.teamMode !== lobby.settings.teamMode) {
+            lobby.setTeamMode(settings.teamMode);
+        }
+        lobby.settings.fuseMaxTime = Math.max(lobby.settings.fuseMinTime, lobby.settings.fuseMaxTime);
+        
+        // Only packs that exist; 'custom' only if this lobby was created with a list
+        if (typeof settings.wordPack === 'string' && settings.wordPack !== lobby.settings.wordPack) {
+            lobby.setWordPack(settings.wordPack);
+        }
+    }
+    
+    if (settings.difficulty === 'custom') {
+        const minSolutions = Math.min(100000, Math.max(1, parseInt(settings.minSolutions) || lobby.settings.minSolutions));
+        const maxSolutions = Math.min(100000, Math.max(1, parseInt(settings.maxSolutions) || lobby.settings.maxSolutions));
+        lobby.settings.difficulty = 'custom';
+        lobby.settings.minSolutions = Math.min(minSolutions, maxSolutions);
+        lobby.settings.maxSolutions = Math.max(minSolutions, maxSolutions);
+    } else if (Object.hasOwn(DIFFICULTY_TIERS, settings.difficulty)) {
+        lobby.settings.difficulty = settings.difficulty;
+        lobby.settings.minSolutions = DIFFICULTY_TIERS[settings.difficulty].minSolutions;
+        lobby.settings.maxSolutions = DIFFICULTY_TIERS[settings.difficulty].maxSolutions;
+    }
+    
+    // A bigger lobby can seat people from the queue right away
+    lobby.promoteSpectators();
+    
+    lobby.broadcastGameState();
+    broadcastLobbyList();
+});
+
+// ========== TEAMS ==========
+onSocketEvent('lobby:team', (socket, data) => {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby) return;
+    
+    // Players pick their own side, the host can move anyone
+    const targetId = typeof data?.playerId === 'string' ? data.playerId : playerId;
+    if (targetId !== playerId && lobby.hostId !== playerId) {
+        emitError(socket, 'host_only');
+        return;
+    }
+    
+    if (lobby.setPlayerTeam(targetId, data?.team)) {
+        lobby.broadcastGameState();
+    }
+});
+
+onSocketEvent('lobby:balance-teams', (socket) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || !lobby.settings.teamMode || lobby.state !== 'waiting') return;
+    
+    lobby.balanceTeams();
+    lobby.broadcastGameState();
+});
+
+// ========== PRACTICE ==========
+onSocketEvent('practice:end', (socket) => {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby || !lobby.settings.practice || lobby.state !== 'playing') return;
+    
+    socket.emit('practice:results', lobby.finishPractice());
+    lobby.broadcastGameState();
+});
+
+// ========== BOTS ==========
+onSocketEvent('lobby:add-bot', (socket, data) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || lobby.state !== 'waiting') return;
+    
+    const skill = Object.hasOwn(BOT_SKILLS, data?.skill) ? data.skill : 'medium';
+    const bot = lobby.addBot(skill);
+    if (!bot) {
+        emitError(socket, 'lobby_full');
+        return;
+    }
+    
+    console.log(`🤖 ${bot.name} (${skill}) added to lobby ${lobby.code}`);
+    lobby.broadcastGameState();
+    broadcastLobbyList();
+});
+
+// ========== HOST MODERATION ==========
+onSocketEvent('lobby:kick', (socket, data) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || typeof data?.playerId !== 'string' || data.playerId === lobby.hostId) return;
+    
+    expelFromLobby(lobby, data.playerId, false);
+});
+
+onSocketEvent('lobby:ban', (socket, data) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || typeof data?.playerId !== 'string' || data.playerId === lobby.hostId) return;
+    
+    expelFromLobby(lobby, data.playerId, true);
+});
+
+onSocketEvent('lobby:transfer-host', (socket, data) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || typeof data?.playerId !== 'string') return;
+    if (data.playerId === lobby.hostId || !lobby.isMember(data.playerId)) return;
+    if (lobby.players.some(p => p.id === data.playerId && p.isBot)) return;
+    
+    // An explicit handover is final, the old host doesn't get it back on rejoin
+    lobby.hostId = data.playerId;
+    lobby.originalHostId = data.playerId;
+    console.log(`👑 Host of lobby ${lobby.code} handed to ${data.playerId}`);
+    
+    lobby.broadcastGameState();
+    broadcastLobbyList();
+});
+
+onSocketEvent('lobby:lock', (socket, data) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || lobby.isSolo()) return;
+    
+    lobby.locked = data?.locked !== false;
+    console.log(`${lobby.locked ? '🔒' : '🔓'} Lobby ${lobby.code} ${lobby.locked ? 'locked' : 'unlocked'}`);
+    
+    lobby.broadcastGameState();
+    broadcastLobbyList();
+});
+
+// ========== GAME CONTROLS ==========
+onSocketEvent('game:start', (socket) => {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby || lobby.hostId !== playerId) {
+        emitError(socket, 'host_only');
+        return;
+    }
+    
+    if (lobby.players.length < 2 && !lobby.isSolo()) {
+        emitError(socket, 'not_enough_players', { min: 2 });
+        return;
+    }
+    
+    if (lobby.settings.teamMode && !lobby.hasReadyTeams()) {
+        emitError(socket, 'teams_not_ready');
+        return;
+    }
+    
+    if (lobby.startGame()) {
+        broadcastLobbyList();
+    }
+});
+
+onSocketEvent('game:typing', (socket, data) => {
+    // Security: Rate limit typing events (max 20 per second)
+    if (isRateLimited(socket.id, 'typing', 20, 1000)) return;
+    
+    // Security: Validate data exists and has text property
+    if (!data || typeof data.text !== 'string') return;
+    
+    const playerId = socketToPlayer.get(socket.id);
+    if (!playerId) return;
+    
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby) return;
+    
+    // Security: All validation happens inside updateTyping
+    lobby.updateTyping(playerId, player.transliterate ? transliterate(data.text) : data.text);
+});
+
+onSocketEvent('game:submit', (socket, data) => {
+    // Security: Rate limit submit events (max 5 per second)
+    if (isRateLimited(socket.id, 'submit', 5, 1000)) return;
+    
+    // Security: Validate data exists and has word property
+    if (!data || typeof data.word !== 'string') return;
+    
+    const playerId = socketToPlayer.get(socket.id);
+    if (!playerId) return;
+    
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby) return;
+    
+    // The client converts as the player types, but never trust it to have done so
+    const word = player.transliterate ? transliterate(data.word) : data.word;
+    const result = lobby.submitWord(playerId, word);
+    
+    if (result.success) {
+        metrics.submitsAccepted++;
+    } else {
+        countMetric(metrics.submitsRejected, result.code || 'unknown');
+    }
+    
+    if (!result.success) {
+        lobby.recordEvent('r', playerId, sanitizeText(word, 50), result.code);
+        socket.emit('game:word-rejected', {
+            code: result.code,
+            params: result.params || {},
+            reason: result.reason,
+            reportable: !!result.reportable,
+            word: result.reportable ? result.word : undefined
+        });
+    }
+});
+
+onSocketEvent('game:ready', (socket) => {
+    const playerId = socketToPlayer.get(socket.id);
+    if (!playerId) return;
+    
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby) return;
+    
+    // Security: Only allow ready toggle in waiting state
+    if (lobby.state !== 'waiting') return;
+    
+    const lobbyPlayer = lobby.players.find(p => p.id === playerId);
+    if (lobbyPlayer && lobbyPlayer.isConnected) {
+        lobbyPlayer.isReady = !lobbyPlayer.isReady;
+        lobby.broadcastGameState();
+    }
+});
+
+// ========== WORD REPORTS ==========
+onSocketEvent('word:report', (socket, data) => {
+    if (isRateLimited(socket.id, 'word:report', 3, 10000)) return;
+    if (!data || typeof data.word !== 'string') return;
+    
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby) return;
+    
+    // Only the word this player just had rejected can be reported
+    const rejected = lobby.lastRejected.get(playerId);
+    if (!rejected || rejected.word !== normalizeWord(data.word)) return;
+    lobby.lastRejected.delete(playerId);
+    
+    fileWordReport(rejected.word, rejected.syllable, lobby.code, playerId, player.name)
+        .then(report => {
+            if (!report) {
+                emitError(socket, 'report_queue_full');
                 return;
             }
             
-            existingPlayer.isConnected = true;
-            existingPlayer.disconnectedAt = null;
-        } else {
-            // Check if already in lobby
-            const existingPlayer = lobby.players.find(p => p.id === playerId);
-            if (existingPlayer) {
-                existingPlayer.isConnected = true;
-            } else {
-                if (!lobby.addPlayer(playerId, player.name)) {
-                    socket.emit('error', { message: 'ვერ შევდივარ (სავსეა?)' });
-                    return;
+            socket.emit('word:report-filed', { word: rejected.word });
+            console.log(`🚩 ${player.name} reported missing word "${rejected.word}" in lobby ${lobby.code}`);
+            
+            // Let the host decide whether it counts for this match
+            if (lobby.state === 'playing') {
+                lobby.reportedWords.add(rejected.word);
+                const hostSocketId = playerToSocket.get(lobby.hostId);
+                if (hostSocketId) {
+                    io.to(hostSocketId).emit('word:reported', { word: rejected.word, playerName: player.name });
                 }
             }
-        }
-        
-        socket.join(lobby.id);
-        player.currentLobbyId = lobby.id;
-        
-        socket.emit('lobby:joined', { 
-            lobbyId: lobby.id, 
-            lobbyCode: lobby.code,
-            lobbyName: lobby.name
-        });
-        
-        lobby.broadcastGameState();
-        broadcastLobbyList();
-        
-        console.log(`✅ Joined lobby: ${lobby.code}`);
-    });
+        })
+        .catch(err => logError('Error filing word report:', err));
+});
+
+onSocketEvent('word:allow', (socket, data) => {
+    const lobby = getHostedLobby(socket);
+    if (!lobby || typeof data?.word !== 'string') return;
     
-    socket.on('lobby:leave', () => {
-        handleLeaveLobby(socket);
-    });
+    const word = normalizeWord(data.word);
+    if (lobby.state !== 'playing' || !lobby.reportedWords.has(word)) return;
     
-    socket.on('lobby:refresh', () => {
-        socket.emit('lobby:list', getLobbyList());
-    });
+    lobby.matchWords.add(word);
+    io.to(lobby.id).emit('word:allowed', { word });
+    console.log(`✅ Host allowed "${word}" for the current match in lobby ${lobby.code}`);
+});
+
+// ========== CHAT ==========
+onSocketEvent('chat:send', (socket, data) => {
+    // Security: Chat gets its own bucket so it can't starve game events (max 5 per 5 seconds)
+    if (isRateLimited(socket.id, 'chat', 5, 5000)) {
+        emitError(socket, 'chat_rate_limited');
+        return;
+    }
     
-    // ========== LOBBY SETTINGS ==========
-    socket.on('lobby:settings', (settings) => {
-        const playerId = socketToPlayer.get(socket.id);
-        const player = players.get(playerId);
-        if (!player?.currentLobbyId) return;
-        
-        const lobby = lobbies.get(player.currentLobbyId);
-        if (!lobby || lobby.hostId !== playerId) return;
-        
-        if (settings.maxPlayers) lobby.settings.maxPlayers = Math.min(12, Math.max(2, settings.maxPlayers));
-        if (settings.startLives) lobby.settings.startLives = Math.min(5, Math.max(1, settings.startLives));
-        if (settings.turnTime) lobby.settings.turnTime = Math.min(30, Math.max(5, settings.turnTime));
-        if (settings.minWordLength) lobby.settings.minWordLength = Math.min(5, Math.max(2, settings.minWordLength));
-        if (typeof settings.isPublic === 'boolean') lobby.settings.isPublic = settings.isPublic;
-        
-        lobby.broadcastGameState();
-        broadcastLobbyList();
-    });
+    if (!data || typeof data.text !== 'string') return;
     
-    // ========== GAME CONTROLS ==========
-    socket.on('game:start', () => {
-        const playerId = socketToPlayer.get(socket.id);
-        const player = players.get(playerId);
-        if (!player?.currentLobbyId) return;
-        
-        const lobby = lobbies.get(player.currentLobbyId);
-        if (!lobby || lobby.hostId !== playerId) {
-            socket.emit('error', { message: 'დაწყება მხოლოდ ჰოსტს შეუძლია' });
-            return;
-        }
-        
-        if (lobby.players.length < 2) {
-            socket.emit('error', { message: 'საჭიროა მინიმუმ 2 მოთამაშე' });
-            return;
-        }
-        
-        if (lobby.startGame()) {
-            broadcastLobbyList();
-        }
-    });
+    const playerId = socketToPlayer.get(socket.id);
+    if (!playerId) return;
     
-    socket.on('game:typing', (data) => {
-        // Security: Rate limit typing events (max 20 per second)
-        if (isRateLimited(socket.id, 'typing', 20, 1000)) return;
-        
-        // Security: Validate data exists and has text property
-        if (!data || typeof data.text !== 'string') return;
-        
-        const playerId = socketToPlayer.get(socket.id);
-        if (!playerId) return;
-        
-        const player = players.get(playerId);
-        if (!player?.currentLobbyId) return;
-        
-        const lobby = lobbies.get(player.currentLobbyId);
-        if (!lobby) return;
-        
-        // Security: All validation happens inside updateTyping
-        lobby.updateTyping(playerId, data.text);
-    });
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return;
     
-    socket.on('game:submit', (data) => {
-        // Security: Rate limit submit events (max 5 per second)
-        if (isRateLimited(socket.id, 'submit', 5, 1000)) return;
-        
-        // Security: Validate data exists and has word property
-        if (!data || typeof data.word !== 'string') return;
-        
-        const playerId = socketToPlayer.get(socket.id);
-        if (!playerId) return;
-        
-        const player = players.get(playerId);
-        if (!player?.currentLobbyId) return;
-        
-        const lobby = lobbies.get(player.currentLobbyId);
-        if (!lobby) return;
-        
-        const result = lobby.submitWord(playerId, data.word);
-        
-        if (!result.success) {
-            socket.emit('game:word-rejected', { reason: result.reason });
-        }
-    });
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby) return;
     
-    socket.on('game:ready', () => {
-        const playerId = socketToPlayer.get(socket.id);
-        if (!playerId) return;
-        
-        const player = players.get(playerId);
-        if (!player?.currentLobbyId) return;
-        
-        const lobby = lobbies.get(player.currentLobbyId);
-        if (!lobby) return;
-        
-        // Security: Only allow ready toggle in waiting state
-        if (lobby.state !== 'waiting') return;
-        
-        const lobbyPlayer = lobby.players.find(p => p.id === playerId);
-        if (lobbyPlayer && lobbyPlayer.isConnected) {
-            lobbyPlayer.isReady = !lobbyPlayer.isReady;
-            lobby.broadcastGameState();
-        }
-    });
+    // Keep guesses out of chat: the player on turn has to answer with the game input
+    if (lobby.state === 'playing' && lobby.players[lobby.currentTurnIndex]?.id === playerId) return;
     
-    // ========== DISCONNECTION ==========
-    socket.on('disconnect', () => {
-        const playerId = socketToPlayer.get(socket.id);
-        const player = playerId ? players.get(playerId) : null;
-        console.log(`❌ Disconnected: ${socket.id} (${player?.name || 'unknown'})`);
-        
-        handleLeaveLobby(socket, true);
-        
-        if (playerId) {
-            // Keep player data for 5 minutes for reconnection
-            setTimeout(() => {
-                const currentSocketId = playerToSocket.get(playerId);
-                if (currentSocketId === socket.id) {
-                    // Player hasn't reconnected with a new socket
-                    const player = players.get(playerId);
-                    
-                    // If player is still in a lobby that's waiting, remove them
-                    if (player?.currentLobbyId) {
-                        const lobby = lobbies.get(player.currentLobbyId);
-                        if (lobby && lobby.state === 'waiting') {
-                            lobby.removePlayer(playerId);
-                            if (lobby.players.length === 0) {
-                                lobby.destroy();
-                                lobbies.delete(lobby.id);
-                            } else {
-                                lobby.broadcastGameState();
-                            }
-                            broadcastLobbyList();
+    const text = sanitizeText(data.text, CHAT_MAX_LENGTH);
+    if (!text) return;
+    
+    const message = lobby.addChatMessage(playerId, text);
+    if (message) {
+        io.to(lobby.id).emit('chat:message', message);
+    }
+});
+
+// ========== DISCONNECTION ==========
+onSocketEvent('disconnect', (socket) => {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = playerId ? players.get(playerId) : null;
+    console.log(`❌ Disconnected: ${socket.id} (${player?.name || 'unknown'})`);
+    
+    handleLeaveLobby(socket, true);
+    
+    if (playerId) {
+        // Keep player data for 5 minutes for reconnection
+        setTimeout(() => {
+            const currentSocketId = playerToSocket.get(playerId);
+            if (currentSocketId === socket.id) {
+                // Player hasn't reconnected with a new socket
+                const player = players.get(playerId);
+                
+                // If player is still in a lobby that's waiting, remove them
+                if (player?.currentLobbyId) {
+                    const lobby = lobbies.get(player.currentLobbyId);
+                    if (lobby && lobby.state === 'waiting') {
+                        lobby.removePlayer(playerId);
+                        if (lobby.isEmpty()) {
+                            lobby.destroy();
+                            lobbies.delete(lobby.id);
+                        } else {
+                            lobby.broadcastGameState();
                         }
+                        broadcastLobbyList();
                     }
-                    
-                    // Clean up mappings but keep player data a bit longer
-                    socketToPlayer.delete(socket.id);
-                    playerToSocket.delete(playerId);
                 }
-            }, 300000); // 5 minutes
-        }
-    });
+                
+                // Clean up mappings but keep player data a bit longer
+                socketToPlayer.delete(socket.id);
+                playerToSocket.delete(playerId);
+            }
+        }, 300000); // 5 minutes
+    }
 });
 
 function handleLeaveLobby(socket, isDisconnect = false) {
@@ -1180,6 +3738,28 @@ function handleLeaveLobby(socket, isDisconnect = false) {
         lobby.broadcastGameState();
         console.log(`📴 ${player.name} disconnected from lobby ${lobby.code} (keeping slot)`);
         
+        // Spectators have no seat to keep, drop them if they don't come back soon
+        if (lobby.isSpectator(playerId)) {
+            setTimeout(() => {
+                const spectator = lobby.spectators.find(s => s.id === playerId);
+                if (spectator && !spectator.isConnected) {
+                    lobby.removeSpectator(playerId);
+                    const currentPlayer = players.get(playerId);
+                    if (currentPlayer?.currentLobbyId === lobby.id) currentPlayer.currentLobbyId = null;
+                    
+                    if (lobby.isEmpty()) {
+                        console.log(`🗑️ Deleting empty lobby: ${lobby.code}`);
+                        lobby.destroy();
+                        lobbies.delete(lobby.id);
+                    } else {
+                        lobby.broadcastGameState();
+                    }
+                    broadcastLobbyList();
+                }
+            }, 30000);
+            return;
+        }
+        
         // If game is waiting, remove after shorter timeout
         if (lobby.state === 'waiting') {
             setTimeout(() => {
@@ -1189,7 +3769,7 @@ function handleLeaveLobby(socket, isDisconnect = false) {
                     lobby.removePlayer(playerId);
                     if (currentPlayer) currentPlayer.currentLobbyId = null;
                     
-                    if (lobby.players.length === 0) {
+                    if (lobby.isEmpty()) {
                         console.log(`🗑️ Deleting empty lobby: ${lobby.code}`);
                         lobby.destroy();
                         lobbies.delete(lobby.id);
@@ -1206,7 +3786,7 @@ function handleLeaveLobby(socket, isDisconnect = false) {
         socket.leave(lobby.id);
         player.currentLobbyId = null;
         
-        if (lobby.players.length === 0) {
+        if (lobby.isEmpty()) {
             console.log(`🗑️ Deleting empty lobby: ${lobby.code}`);
             lobby.destroy();
             lobbies.delete(lobby.id);
@@ -1218,8 +3798,269 @@ function handleLeaveLobby(socket, isDisconnect = false) {
     }
 }
 
+// The lobby this socket's player is hosting, if any
+function getHostedLobby(socket) {
+    const playerId = socketToPlayer.get(socket.id);
+    const player = players.get(playerId);
+    if (!player?.currentLobbyId) return null;
+    
+    const lobby = lobbies.get(player.currentLobbyId);
+    if (!lobby || lobby.hostId !== playerId) {
+        emitError(socket, 'host_only');
+        return null;
+    }
+    return lobby;
+}
+
+// Remove someone from a lobby on the host's or an operator's behalf, optionally for good
+function expelFromLobby(lobby, targetId, ban) {
+    if (!lobby.isMember(targetId)) return false;
+    
+    if (ban) lobby.bannedIds.add(targetId);
+    lobby.removePlayer(targetId);
+    
+    // Operators can remove the host too; the lobby shouldn't be left without one
+    if (!lobby.isMember(lobby.hostId) && lobby.getHumans().length > 0) {
+        lobby.hostId = lobby.getHumans()[0].id;
+        lobby.originalHostId = lobby.hostId;
+    }
+    
+    const target = players.get(targetId);
+    if (target?.currentLobbyId === lobby.id) target.currentLobbyId = null;
+    
+    // The target may be connected to another worker, so go through the adapter
+    const targetSocketId = playerToSocket.get(targetId);
+    if (targetSocketId) {
+        io.in(targetSocketId).socketsLeave(lobby.id);
+        io.to(targetSocketId).emit('lobby:kicked', { banned: ban });
+    }
+    
+    console.log(`${ban ? '⛔ Banned' : '🥾 Kicked'} ${target?.name || targetId} from lobby ${lobby.code}`);
+    
+    if (lobby.isEmpty()) {
+        console.log(`🗑️ Deleting empty lobby: ${lobby.code}`);
+        lobby.destroy();
+        lobbies.delete(lobby.id);
+    } else {
+        lobby.broadcastGameState();
+    }
+    broadcastLobbyList();
+    return true;
+}
+
+// Shut a lobby down for everyone in it
+function closeLobby(lobby) {
+    [...lobby.players, ...lobby.spectators].forEach(member => {
+        const player = players.get(member.id);
+        if (player?.currentLobbyId === lobby.id) player.currentLobbyId = null;
+    });
+    
+    io.to(lobby.id).emit('lobby:closed');
+    io.in(lobby.id).socketsLeave(lobby.id);
+    
+    lobby.destroy();
+    lobbies.delete(lobby.id);
+    broadcastLobbyList();
+    console.log(`🛑 Lobby ${lobby.code} closed by an operator`);
+}
+
+// ============== WORKER ROUTING ==============
+
+// Which worker runs a lobby; unknown lobbies are handled (and rejected) locally
+async function getLobbyOwner(lobbyId) {
+    if (!lobbyId || lobbies.has(lobbyId)) return WORKER_ID;
+    const entry = await store.get(`lobby:${lobbyId}`);
+    return entry?.owner || WORKER_ID;
+}
+
+// The lobby a socket event acts on
+async function getEventLobbyId(socket, event, data) {
+    if (event === 'lobby:join') {
+        return typeof data?.lobbyCode === 'string' ? store.get(`code:${data.lobbyCode.toUpperCase()}`) : null;
+    }
+    if (event === 'player:restore') {
+        if (typeof data?.lobbyId === 'string' && data.lobbyId) return data.lobbyId;
+        return typeof data?.lobbyCode === 'string' ? store.get(`code:${data.lobbyCode}`) : null;
+    }
+    
+    const playerId = socketToPlayer.get(socket.id) || data?.playerId;
+    return players.get(playerId)?.currentLobbyId || null;
+}
+
+// Events that never touch a lobby
+const LOCAL_EVENTS = new Set(['clock:sync', 'lobby:refresh', 'profile:get']);
+
+function getPlayerRecord(player) {
+    return { id: player.id, name: player.name, currentLobbyId: player.currentLobbyId, transliterate: !!player.transliterate };
+}
+
+async function loadPlayerRecord(playerId) {
+    if (typeof playerId !== 'string' || players.has(playerId)) return;
+    const record = await store.get(`player:${playerId}`);
+    if (record && !players.has(playerId)) {
+        players.set(playerId, { ...record, socketId: null });
+    }
+}
+
+function runSocketHandler(socket, event, data) {
+    socketHandlers.get(event)(socket, data);
+    
+    // Let the other workers see where this player ended up
+    const player = players.get(socketToPlayer.get(socket.id));
+    if (store.shared && player) {
+        store.set(`player:${player.id}`, getPlayerRecord(player), PLAYER_RECORD_TTL_MS)
+            .catch(err => logError('Error saving player record:', err));
+    }
+}
+
+async function routeSocketEvent(socket, event, data) {
+    if (!store.shared || LOCAL_EVENTS.has(event)) {
+        runSocketHandler(socket, event, data);
+        return;
+    }
+    
+    if (event === 'player:auth' || event === 'player:restore') {
+        await loadPlayerRecord(data?.playerId);
+    }
+    
+    // New lobbies are created on the worker their host is connected to
+    const lobbyId = event === 'lobby:create' ? null : await getEventLobbyId(socket, event, data);
+    const owner = await getLobbyOwner(lobbyId);
+    
+    try {
+        // Switching lobbies: a lobby on another worker has to let go of the player first
+        const currentLobbyId = players.get(socketToPlayer.get(socket.id))?.currentLobbyId;
+        if ((event === 'lobby:create' || event === 'lobby:join') && currentLobbyId && currentLobbyId !== lobbyId) {
+            const currentOwner = await getLobbyOwner(currentLobbyId);
+            if (currentOwner !== WORKER_ID) await forwardSocketEvent(currentOwner, socket, 'lobby:leave');
+        }
+        
+        if (owner !== WORKER_ID) await forwardSocketEvent(owner, socket, event, data);
+    } catch (err) {
+        logError(`Error forwarding ${event}:`, err);
+        emitError(socket, 'worker_unreachable');
+        if (event !== 'disconnect') return;
+    }
+    
+    // A forwarded disconnect runs here too, to tidy up this worker's socket maps
+    if (owner === WORKER_ID || event === 'disconnect') {
+        runSocketHandler(socket, event, data);
+    }
+}
+
+async function forwardSocketEvent(owner, socket, event, data) {
+    const player = players.get(socketToPlayer.get(socket.id));
+    const [response] = await askWorkers('socket-event', {
+        socketId: socket.id,
+        event,
+        data,
+        player: player ? getPlayerRecord(player) : null
+    }, owner);
+    if (!response) throw new Error(`Worker ${owner} did not answer`);
+    
+    // The owner's answer is the truth about where the player is now
+    const record = response.player;
+    if (!record) return;
+    const local = players.get(record.id);
+    if (local) {
+        local.name = record.name;
+        local.currentLobbyId = record.currentLobbyId;
+        local.transliterate = record.transliterate;
+        local.socketId = socket.id;
+    } else {
+        players.set(record.id, { ...record, socketId: socket.id });
+    }
+    socketToPlayer.set(socket.id, record.id);
+    playerToSocket.set(record.id, socket.id);
+}
+
+// Stands in for a socket connected to another worker; the adapter carries everything over
+function createRemoteSocket(socketId) {
+    return {
+        id: socketId,
+        emit: (event, ...args) => io.to(socketId).emit(event, ...args),
+        join: room => io.in(socketId).socketsJoin(room),
+        leave: room => io.in(socketId).socketsLeave(room)
+    };
+}
+
+// Requests other workers answer over the adapter
+const workerRequests = {
+    'socket-event': ({ socketId, event, data, player }) => {
+        if (!socketHandlers.has(event)) return { player: null };
+        
+        // Keep what this worker already knows about the player's lobby, it owns that
+        if (player) {
+            if (!players.has(player.id)) players.set(player.id, { ...player, socketId });
+            players.get(player.id).socketId = socketId;
+            players.get(player.id).transliterate = player.transliterate;
+            socketToPlayer.set(socketId, player.id);
+            playerToSocket.set(player.id, socketId);
+        }
+        
+        runSocketHandler(createRemoteSocket(socketId), event, data);
+        
+        const playerId = socketToPlayer.get(socketId);
+        return { player: players.has(playerId) ? getPlayerRecord(players.get(playerId)) : null };
+    },
+    'admin-lobbies': () => getAdminLobbies(),
+    'admin-close': ({ lobbyId }) => {
+        const lobby = lobbies.get(lobbyId);
+        if (!lobby) return false;
+        closeLobby(lobby);
+        return true;
+    },
+    'admin-kick': ({ lobbyId, playerId }) => {
+        const lobby = lobbies.get(lobbyId);
+        return !!lobby && expelFromLobby(lobby, playerId, false);
+    },
+    'match': ({ matchId }) => loadMatch(matchId),
+    'dictionary-add': ({ word }) => dictionary.add(word)
+};
+
+// Ask the other workers (or just `to`) and collect the answers; a single process has no one to ask
+async function askWorkers(type, payload = {}, to = null) {
+    if (!store.shared) return [];
+    const responses = await io.serverSideEmitWithAck('worker:request', { type, to, payload });
+    return responses.filter(response => response !== null);
+}
+
+async function askLobbyOwner(type, payload) {
+    const owner = await getLobbyOwner(payload.lobbyId);
+    if (owner === WORKER_ID) return workerRequests[type](payload);
+    const [response] = await askWorkers(type, payload, owner);
+    return response ?? false;
+}
+
+io.on('worker:request', ({ type, to, payload }, callback) => {
+    if ((to && to !== WORKER_ID) || !Object.hasOwn(workerRequests, type)) {
+        callback(null);
+        return;
+    }
+    
+    try {
+        callback(workerRequests[type](payload));
+    } catch (err) {
+        logError(`Error answering ${type} request:`, err);
+        callback(null);
+    }
+});
+
 // ============== START SERVER ==============
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`\n🚀 Bomb Party Server running on http://localhost:${PORT}\n`);
-});
+connectStore()
+    .then(loadRecords)
+    .then(() => {
+        publishLobbies().catch(err => logError('Error publishing lobbies:', err));
+        setInterval(() => {
+            publishLobbies().catch(err => logError('Error publishing lobbies:', err));
+        }, LOBBY_LEASE_MS / 3);
+        
+        server.listen(PORT, () => {
+            console.log(`\n🚀 Bomb Party Server running on http://localhost:${PORT} (worker ${WORKER_ID})\n`);
+        });
+    })
+    .catch(err => {
+        logError('Could not connect to Redis:', err);
+        process.exit(1);
+    });
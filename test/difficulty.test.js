@@ -0,0 +1,40 @@
+// Every tier has to leave plenty of syllables to pick from in ka_GE.txt, from the first turn to the end of the ramp
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { normalizeWord } = require('../normalize');
+const { Dictionary } = require('../dictionary');
+const { getDifficultyTiers, getRampedRange } = require('../difficulty');
+
+const MIN_SYLLABLES = 100;
+
+const dictionary = new Dictionary();
+dictionary.build(fs.readFileSync(path.join(__dirname, '..', 'ka_GE.txt'), 'utf8')
+    .split('\n')
+    .map(line => normalizeWord(line).split(' ')[0]));
+const tiers = getDifficultyTiers(dictionary.syllablesByCount);
+
+function countInRange({ minSolutions, maxSolutions }) {
+    return dictionary.lowerBound(maxSolutions + 1) - dictionary.lowerBound(minSolutions);
+}
+
+for (const [name, tier] of Object.entries(tiers)) {
+    test(`the ${name} tier has syllables from the first turn to the end of the ramp`, () => {
+        const start = getRampedRange(tier, 0);
+        const end = getRampedRange(tier, 1);
+
+        assert.deepStrictEqual(start, tier);
+        assert.ok(countInRange(start) >= MIN_SYLLABLES, `${name} starts with ${countInRange(start)} syllables`);
+        assert.ok(countInRange(end) >= MIN_SYLLABLES, `${name} ramps to ${countInRange(end)} syllables`);
+
+        // The ramp only ever moves to syllables with fewer answers
+        assert.ok(end.maxSolutions <= start.minSolutions);
+    });
+}
+
+test('harder tiers pick syllables with fewer answers', () => {
+    assert.ok(tiers.easy.minSolutions >= tiers.medium.maxSolutions);
+    assert.ok(tiers.medium.minSolutions >= tiers.hard.maxSolutions);
+    assert.ok(tiers.hard.minSolutions > 1);
+});
@@ -0,0 +1,32 @@
+// Inputs that have tripped up validation before, and what each must fold to
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeWord } = require('../normalize');
+
+const CORPUS = [
+    ['ᲡᲐᲮᲚᲘ', 'სახლი', 'Mtavruli caps lock'],
+    ['\u1C92ამარჯობა', 'გამარჯობა', 'Mtavruli first letter'],
+    ['სა\u200Dხლი', 'სახლი', 'zero-width joiner'],
+    ['სა\u200Cხ\u200Bლი', 'სახლი', 'zero-width non-joiner and space'],
+    ['სახ\u00ADლი', 'სახლი', 'soft hyphen from a hyphenated paste'],
+    ['\uFEFFსახლი', 'სახლი', 'byte order mark from a pasted file'],
+    ['\u00A0სახლი\u00A0', 'სახლი', 'non-breaking spaces'],
+    ['\u202Fსახლი\u2009', 'სახლი', 'narrow and thin spaces'],
+    ['სახლი\u2060', 'სახლი', 'word joiner'],
+    ['სახლი\uFE0F', 'სახლი', 'emoji variation selector'],
+    ['\u200Eსახლი\u200F', 'სახლი', 'direction marks'],
+    ['cafe\u0301', 'caf\u00E9', 'decomposed accent (NFC)'],
+    ['  სახლი\t', 'სახლი', 'plain whitespace'],
+    ['', '', 'an empty word']
+];
+
+CORPUS.forEach(([input, expected, name]) => {
+    test(`normalizeWord folds ${name}`, () => {
+        assert.strictEqual(normalizeWord(input), expected);
+    });
+});
+
+test('normalizeWord returns an empty string for non-strings', () => {
+    assert.strictEqual(normalizeWord(undefined), '');
+    assert.strictEqual(normalizeWord(42), '');
+});
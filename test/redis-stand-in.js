@@ -0,0 +1,183 @@
+// A tiny in-process Redis for tests: just the commands the store and the socket.io
+// adapter use (strings with expiry, SCAN, MGET and pub/sub), spoken over RESP2
+const net = require('net');
+
+const CRLF = '\r\n';
+
+function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 's');
+}
+
+function encode(reply) {
+    if (reply === null) return Buffer.from(`$-1${CRLF}`);
+    if (typeof reply === 'number') return Buffer.from(`:${reply}${CRLF}`);
+    if (reply instanceof Error) return Buffer.from(`-${reply.message}${CRLF}`);
+    if (Array.isArray(reply)) {
+        return Buffer.concat([Buffer.from(`*${reply.length}${CRLF}`), ...reply.map(encode)]);
+    }
+    if (typeof reply === 'object' && reply.status) return Buffer.from(`+${reply.status}${CRLF}`);
+
+    const data = Buffer.isBuffer(reply) ? reply : Buffer.from(String(reply));
+    return Buffer.concat([Buffer.from(`$${data.length}${CRLF}`), data, Buffer.from(CRLF)]);
+}
+
+// Commands arrive as arrays of bulk strings; returns [args, rest] or null until complete
+function parseCommand(buffer) {
+    if (buffer.length === 0 || buffer[0] !== 0x2a) return null; // '*'
+
+    let offset = buffer.indexOf(CRLF);
+    if (offset === -1) return null;
+    const count = parseInt(buffer.subarray(1, offset).toString(), 10);
+    offset += 2;
+
+    const args = [];
+    for (let i = 0; i < count; i++) {
+        const lineEnd = buffer.indexOf(CRLF, offset);
+        if (lineEnd === -1) return null;
+        const length = parseInt(buffer.subarray(offset + 1, lineEnd).toString(), 10);
+        const start = lineEnd + 2;
+        if (buffer.length < start + length + 2) return null;
+        args.push(buffer.subarray(start, start + length));
+        offset = start + length + 2;
+    }
+    return [args, buffer.subarray(offset)];
+}
+
+class RedisStandIn {
+    constructor() {
+        this.data = new Map();      // key -> { value: Buffer, expiresAt }
+        this.clients = new Set();   // { socket, channels: Set, patterns: Set }
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        this.clients.forEach(client => client.socket.destroy());
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    // Values as JSON, the way RedisStore writes them; key without the namespace
+    get(key) {
+        const value = this.read(`bombparty:${key}`);
+        return value === null ? null : JSON.parse(value.toString());
+    }
+
+    set(key, value) {
+        this.data.set(`bombparty:${key}`, { value: Buffer.from(JSON.stringify(value)), expiresAt: 0 });
+    }
+
+    keys(prefix) {
+        return [...this.data.keys()]
+            .filter(key => key.startsWith(`bombparty:${prefix}`) && this.read(key) !== null)
+            .map(key => key.slice('bombparty:'.length));
+    }
+
+    read(key) {
+        const entry = this.data.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    accept(socket) {
+        const client = { socket, channels: new Set(), patterns: new Set() };
+        this.clients.add(client);
+        socket.on('close', () => this.clients.delete(client));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = parseCommand(buffer))) {
+                const [args, rest] = parsed;
+                buffer = rest;
+                this.run(client, args).forEach(reply => socket.write(encode(reply)));
+            }
+        });
+    }
+
+    // Replies for one command; subscribing answers once per channel
+    run(client, args) {
+        const name = args[0].toString().toUpperCase();
+        const text = args.slice(1).map(arg => arg.toString());
+
+        switch (name) {
+            case 'PING':
+                return [{ status: 'PONG' }];
+            case 'CLIENT':
+            case 'SELECT':
+                return [{ status: 'OK' }];
+            case 'GET':
+                return [this.read(text[0])];
+            case 'MGET':
+                return [text.map(key => this.read(key))];
+            case 'SET': {
+                const options = text.slice(2).map(option => option.toUpperCase());
+                if (options.includes('NX') && this.read(text[0]) !== null) return [null];
+                const px = options.indexOf('PX');
+                const ex = options.indexOf('EX');
+                const ttl = px !== -1 ? Number(text[px + 3]) : ex !== -1 ? Number(text[ex + 3]) * 1000 : 0;
+                this.data.set(text[0], { value: Buffer.from(args[2]), expiresAt: ttl ? Date.now() + ttl : 0 });
+                return [{ status: 'OK' }];
+            }
+            case 'DEL':
+                return [text.filter(key => this.read(key) !== null && this.data.delete(key)).length];
+            case 'SCAN': {
+                const match = text.indexOf('MATCH');
+                const pattern = globToRegExp(match === -1 ? '*' : text[match + 1]);
+                return [['0', [...this.data.keys()].filter(key => pattern.test(key) && this.read(key) !== null)]];
+            }
+            case 'PUBLISH':
+                return [this.publish(text[0], args[2])];
+            case 'PUBSUB': {
+                if (text[0].toUpperCase() !== 'NUMSUB') return [new Error('ERR unsupported PUBSUB subcommand')];
+                return [text.slice(1).flatMap(channel => [
+                    channel,
+                    [...this.clients].filter(c => c.channels.has(channel)).length
+                ])];
+            }
+            case 'SUBSCRIBE':
+            case 'PSUBSCRIBE':
+            case 'UNSUBSCRIBE':
+            case 'PUNSUBSCRIBE': {
+                const set = name.includes('PSUB') ? client.patterns : client.channels;
+                const subscribing = !name.includes('UNSUB');
+                return text.map(channel => {
+                    if (subscribing) set.add(channel);
+                    else set.delete(channel);
+                    return [name.toLowerCase(), channel, client.channels.size + client.patterns.size];
+                });
+            }
+            default:
+                return [new Error(`ERR unknown command '${name}'`)];
+        }
+    }
+
+    publish(channel, message) {
+        let receivers = 0;
+        this.clients.forEach(client => {
+            if (client.channels.has(channel)) {
+                client.socket.write(encode(['message', channel, message]));
+                receivers++;
+            }
+            client.patterns.forEach(pattern => {
+                if (!globToRegExp(pattern).test(channel)) return;
+                client.socket.write(encode(['pmessage', pattern, channel, message]));
+                receivers++;
+            });
+        });
+        return receivers;
+    }
+}
+
+module.exports = { RedisStandIn };
@@ -0,0 +1,220 @@
+// Two workers sharing one store and one DATA_DIR: every worker has to give the same answers
+// without trampling the other's files
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { io } = require('socket.io-client');
+const { RedisStandIn } = require('./redis-stand-in');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const standIn = new RedisStandIn();
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bombparty-'));
+const workers = [];
+
+function getFreePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check().catch(() => null);
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+function spawnWorker(env) {
+    return spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, DATA_DIR: dataDir, ADMIN_TOKEN, ...env },
+        stdio: 'ignore'
+    });
+}
+
+async function startWorker(id, redisPort) {
+    const port = await getFreePort();
+    const child = spawnWorker({ PORT: String(port), WORKER_ID: id, REDIS_URL: `redis://127.0.0.1:${redisPort}` });
+    const worker = { id, url: `http://127.0.0.1:${port}`, child };
+    await waitFor(async () => (await fetch(`${worker.url}/readyz`)).ok, 20000);
+    return worker;
+}
+
+async function getJson(worker, route, options) {
+    const res = await fetch(`${worker.url}${route}`, options);
+    return { status: res.status, body: await res.json() };
+}
+
+function connect(worker) {
+    const socket = io(worker.url, { transports: ['websocket'], forceNew: true });
+    socket.next = event => new Promise(resolve => socket.once(event, resolve));
+    return socket;
+}
+
+before(async () => {
+    const redisPort = await standIn.listen();
+    workers.push(await startWorker('a', redisPort), await startWorker('b', redisPort));
+});
+
+after(async () => {
+    await Promise.all(workers.map(worker => new Promise(resolve => {
+        if (worker.child.exitCode !== null) return resolve();
+        worker.child.once('exit', resolve);
+        worker.child.kill();
+    })));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    await standIn.close();
+});
+
+test('profiles and leaderboards are the same on every worker', async () => {
+    const date = new Date().toISOString().slice(0, 10);
+    standIn.set('public-id:player-1', 'public-1');
+    standIn.set('public-player:public-1', 'player-1');
+    standIn.set('profile:player-1', {
+        id: 'player-1',
+        publicId: 'public-1',
+        name: 'ნინო',
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        gamesPlayed: 4,
+        wins: 3,
+        totalWords: 20,
+        longestWord: 'საქართველო',
+        bestStreak: 5,
+        totalScore: 900,
+        totalAnswerTime: 40000,
+        syllables: { 'ან': 3 },
+        practice: {}
+    });
+    standIn.set(`daily:${date}:player-1`, {
+        date,
+        id: 'player-1',
+        publicId: 'public-1',
+        name: 'ნინო',
+        score: 450,
+        wordsCompleted: 9,
+        longestWord: 'საქართველო',
+        startedAt: Date.now() - 60000,
+        finishedAt: Date.now()
+    });
+
+    for (const route of ['/api/leaderboard?period=all&metric=wins', '/api/daily', '/api/players/public-1']) {
+        const [a, b] = await Promise.all(workers.map(worker => getJson(worker, route)));
+        assert.strictEqual(a.status, 200, route);
+        assert.deepStrictEqual(b, a, route);
+    }
+
+    // Only the public id is published, never the id player:auth accepts
+    const { body } = await getJson(workers[1], '/api/leaderboard?period=all&metric=wins');
+    assert.strictEqual(body.entries[0].name, 'ნინო');
+    assert.strictEqual(body.entries[0].id, 'public-1');
+    assert.strictEqual((await getJson(workers[1], '/api/players/player-1')).status, 404);
+});
+
+test('match recordings are served by any worker', async () => {
+    const matchId = crypto.randomUUID();
+    const match = { id: matchId, lobbyCode: 'ABCDEF', events: [], rankings: [] };
+    fs.mkdirSync(path.join(dataDir, 'matches'), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'matches', `${matchId}.json`), JSON.stringify(match));
+
+    const { status, body } = await getJson(workers[1], `/api/matches/${matchId}`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, match);
+});
+
+test('an accepted word report reaches every worker\'s dictionary', async () => {
+    const word = 'ტესტსიტყვააა';
+    standIn.set(`report:${word}`, {
+        id: 'report-1',
+        word,
+        syllable: 'ტეს',
+        lobbyCode: 'ABCDEF',
+        reporters: ['player-1'],
+        reporterName: 'ნინო',
+        count: 1,
+        status: 'pending',
+        reportedAt: Date.now(),
+        lastReportedAt: Date.now()
+    });
+    const wordsBefore = (await getJson(workers[1], '/healthz')).body.words;
+
+    const review = await getJson(workers[0], '/api/admin/word-reports/report-1/accept', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    assert.strictEqual(review.status, 200);
+    assert.strictEqual(review.body.status, 'accepted');
+    assert.strictEqual(standIn.get(`overlay:${word}`), word);
+
+    for (const worker of workers) {
+        await waitFor(async () => (await getJson(worker, '/healthz')).body.words === wordsBefore + 1);
+    }
+});
+
+test('a player gets one ranked daily run across workers', { timeout: 90000 }, async () => {
+    const first = connect(workers[0]);
+    first.emit('player:auth', { playerName: 'გიო' });
+    const { playerId } = await first.next('player:authed');
+
+    // Starting the run on one worker uses up the day's ranked attempt
+    const date = new Date().toISOString().slice(0, 10);
+    first.emit('lobby:create', { playerName: 'გიო', daily: true });
+    await waitFor(async () => standIn.get(`daily:${date}:${playerId}`));
+    first.emit('lobby:leave');
+    first.disconnect();
+
+    // The second run is on the other worker, so only the shared store can know about the first
+    const second = connect(workers[1]);
+    second.emit('player:auth', { playerId, playerName: 'გიო' });
+    await second.next('player:authed');
+    second.emit('lobby:create', { playerName: 'გიო', daily: true });
+
+    // Nobody answers, so the run ends once the bomb has gone off three times
+    const result = await second.next('daily:result');
+    second.disconnect();
+    assert.strictEqual(result.ranked, false);
+    assert.strictEqual(result.rank, null);
+});
+
+test('each worker snapshots only its own lobbies', { timeout: 30000 }, async () => {
+    const lobbyIds = [];
+    const sockets = workers.map(connect);
+    try {
+        for (const [index, worker] of workers.entries()) {
+            sockets[index].emit('player:auth', { playerName: `ჰოსტი ${worker.id}` });
+            await sockets[index].next('player:authed');
+            sockets[index].emit('lobby:create', { playerName: `ჰოსტი ${worker.id}`, lobbyName: `ოთახი ${worker.id}` });
+            lobbyIds.push((await sockets[index].next('lobby:joined')).lobbyId);
+        }
+
+        // A worker restoring from a shared file would pick up, and run, the other's lobby too
+        const readSnapshot = worker => JSON.parse(fs.readFileSync(path.join(dataDir, `lobbies-${worker.id}.json`), 'utf8'));
+        for (const [index, worker] of workers.entries()) {
+            const saved = await waitFor(async () => {
+                const snapshot = readSnapshot(worker);
+                return snapshot.lobbies.some(lobby => lobby.id === lobbyIds[index]) && snapshot;
+            }, 20000);
+            assert.ok(!saved.lobbies.some(lobby => lobby.id === lobbyIds[1 - index]), `worker ${worker.id} saved the other lobby`);
+        }
+        assert.ok(!fs.existsSync(path.join(dataDir, 'lobbies.json')));
+    } finally {
+        sockets.forEach(socket => socket.disconnect());
+    }
+});
+
+test('a worker sharing the store refuses to start without its own WORKER_ID', async () => {
+    const child = spawnWorker({ PORT: String(await getFreePort()), WORKER_ID: '', REDIS_URL: 'redis://127.0.0.1:1' });
+    const [code] = await new Promise(resolve => child.once('exit', (...args) => resolve(args)));
+    assert.strictEqual(code, 1);
+});